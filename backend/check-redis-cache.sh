@@ -9,7 +9,7 @@ echo "======================================="
 redis-cli --scan --pattern "tours:*" | while read key; do
     echo -e "\nKey: $key"
     echo "Content preview:"
-    redis-cli get "$key" | jq -r '.[0:2] | .[] | "\(.name // .displayName) - \(.showCount) shows"' 2>/dev/null || echo "Unable to parse JSON"
+    redis-cli get "$key" | jq -r '.tours[0:2] | .[] | "\(.name // .displayName) - \(.showCount) shows"' 2>/dev/null || echo "Unable to parse JSON"
     
     ttl=$(redis-cli ttl "$key")
     if [ "$ttl" -gt 0 ]; then
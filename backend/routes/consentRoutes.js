@@ -4,6 +4,8 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 
+const TWO_YEARS_IN_SECONDS = 60 * 60 * 24 * 365 * 2;
+
 /**
  * Endpoint: POST /log
  * Logs user consent to terms and privacy policy
@@ -35,25 +37,11 @@ router.post('/log', async (req, res) => {
       privacyVersion: process.env.PRIVACY_VERSION || '1.0'
     };
 
-    // Store in Redis with 2-year expiration (typical statute of limitations)
+    // Store in the cache store (Redis, or memory while Redis is down) with a
+    // 2-year expiration (typical statute of limitations)
     // Key format: consent:{consentId}
-    const redisKey = `consent:${consentId}`;
-
-    // Use Redis client from req.app.get('redisClient')
-    const redisClient = req.app.get('redisClient');
-
-    if (!redisClient || !redisClient.isOpen) {
-      logger.error('Redis client unavailable');
-      return res.status(500).json({
-        error: 'Database connection issue',
-        localStorageOnly: true
-      });
-    }
-
-    // Store consent record in Redis with 2-year expiration (in seconds)
-    const TWO_YEARS_IN_SECONDS = 60 * 60 * 24 * 365 * 2;
-    await redisClient.set(redisKey, JSON.stringify(consentRecord));
-    await redisClient.expire(redisKey, TWO_YEARS_IN_SECONDS);
+    const cacheKey = `consent:${consentId}`;
+    await req.app.locals.cache.setEx(cacheKey, TWO_YEARS_IN_SECONDS, JSON.stringify(consentRecord));
 
     logger.info(`Consent logged: ${consentId}`);
 
@@ -87,15 +75,7 @@ router.get('/verify/:consentId', async (req, res) => {
       return res.status(400).json({ error: 'Consent ID required' });
     }
 
-    const redisClient = req.app.get('redisClient');
-
-    if (!redisClient || !redisClient.isOpen) {
-      logger.error('Redis client unavailable');
-      return res.status(500).json({ error: 'Database connection issue' });
-    }
-
-    const redisKey = `consent:${consentId}`;
-    const consentRecord = await redisClient.get(redisKey);
+    const consentRecord = await req.app.locals.cache.get(`consent:${consentId}`);
 
     if (!consentRecord) {
       return res.status(404).json({
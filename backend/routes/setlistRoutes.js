@@ -5,17 +5,68 @@ const axios = require('axios');
 const {
   getTourName,
   getAllTourSongs, getArtistPageByName, getArtistPageByMBID, delay,
-  getAllTourSongsByMBID
+  getAllTourSongsByMBID, getSetlistsByVenueAndDate
 } = require("../utils/setlistAPIRequests.js");
-const { getSongTally, getTour, chooseTour } = require("../utils/setlistFormatData.js");
+const {
+  getSongTally, classifyShows, getTour, chooseTour, getPredictedSetlist, getShowMatrix, getRotationSlots,
+  addCareerHistory, normalizeSetlistFilters, normalizeRecency, normalizeExclude, filterTourInfo, compareTours, getCareerStats,
+  getAlbumBreakdown, getCoversSummary, getSupportActSample, getSupportActs,
+  getVenueInsights, normalizeShowTarget, getShowPrediction, getUpcomingShows
+} = require("../utils/setlistFormatData.js");
 const { getSpotifySongInfo, getAccessToken, searchArtist } = require("../utils/spotifyAPIRequests.js");
-const { fetchMBIdFromSpotifyId } = require("../utils/musicBrainzAPIRequests.js");
-const { isArtistNameMatch } = require("../utils/musicBrainzChecks.js");
+const { resolveArtistIdentity, resolveArtistSlug } = require("../utils/artistIdentity.js");
 const { searchDeezerArtists } = require("../utils/deezerApiCalls.js");
 const sseManager = require('../utils/sseManager');
-const { getSetlistSlug } = require('../utils/setlistSlugExtractor');
 const devLogger = require('../utils/devLogger');
-const { fetchAllToursFromAPI } = require('../utils/tourExtractor');
+const {
+  fetchAllToursFromAPI, getToursWithRevalidation, waitForTourRefresh, fetchSongHistory
+} = require('../utils/tourExtractor');
+const { getCachedSongHistory } = require('../utils/tourCacheManager');
+
+/**
+ * Looks up an artist's cached song history (built by the Past Tours scan)
+ * - Keyed by canonical name and MBID, the same as /advanced_with_updates,
+ *   so the cache keys match
+ * - Only the Past Tours and Career Stats flows run the full-history scan;
+ *   searches report "missing" instead, so the client can say debut/bust-out
+ *   flags need that history rather than showing none
+ *
+ * @param {Object|null} cache Cache store, if available
+ * @param {Object} identity Artist identity from resolveArtistIdentity
+ * @returns {Promise<Object>} { songHistory, careerHistory } - careerHistory is
+ *   "available" or "missing"
+ */
+async function getSongHistoryForArtist(cache, identity) {
+  const songHistory = cache
+    ? await getCachedSongHistory(cache, identity.name, identity.mbid)
+    : null;
+  return { songHistory, careerHistory: songHistory ? 'available' : 'missing' };
+}
+
+/**
+ * Narrows downloaded setlists to the search filters and reports how many matched
+ * - Sends an SSE error when nothing matches
+ *
+ * @param {Array} allTourInfo All tour setlist data
+ * @param {Object|null} filters Filters from normalizeSetlistFilters
+ * @param {string} clientId SSE client ID
+ * @param {number} progress Progress percentage for the update
+ * @param {Map} [showClassification] classifyShows result for the unfiltered tour
+ * @returns {Array|null} Filtered tour data, or null if no setlists matched
+ */
+function applySetlistFilters(allTourInfo, filters, clientId, progress, showClassification = null) {
+  if (!filters) {
+    return allTourInfo;
+  }
+  const filtered = filterTourInfo(allTourInfo, filters, showClassification);
+  const matchCount = filtered.reduce((total, page) => total + page.setlist.length, 0);
+  if (matchCount === 0) {
+    sseManager.sendError(clientId, "No setlists match the selected dates or locations.", 404);
+    return null;
+  }
+  sseManager.sendUpdate(clientId, 'setlist_filter', `${matchCount} setlists match the selected filters`, progress);
+  return filtered;
+}
 
 /**
  * Endpoint: POST /search_with_updates
@@ -23,7 +74,10 @@ const { fetchAllToursFromAPI } = require('../utils/tourExtractor');
  * 
  * @param {Object} req.body.artist - Artist information object
  * @param {string} req.body.clientId - SSE client ID for sending updates
- * @returns {Object} Tour data and Spotify song information
+ * @param {Array<string>} [req.body.exclude] - Song variants to leave out of the likelihood numbers
+ * @param {Object} [req.body.recency] - { unit: "shows" | "days", halfLife } for recency weighting
+ * @param {Object} [req.body.filters] - Date range / country / continent / city / showType filters
+ * @returns {Object} Tour data, Spotify song information and predicted setlist
  */
 router.post('/search_with_updates', async (req, res) => {
   const { artist, clientId } = req.body;
@@ -32,9 +86,22 @@ router.post('/search_with_updates', async (req, res) => {
     return res.status(400).json({ error: 'Missing clientId parameter' });
   }
 
+  const { filters, error: filterError } = normalizeSetlistFilters(req.body.filters);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+  const { exclude, error: excludeError } = normalizeExclude(req.body.exclude);
+  if (excludeError) {
+    return res.status(400).json({ error: excludeError });
+  }
+  const { recency, error: recencyError } = normalizeRecency(req.body.recency);
+  if (recencyError) {
+    return res.status(400).json({ error: recencyError });
+  }
+
   try {
     // Start processing and send updates via SSE instead of waiting for completion
-    processArtistWithUpdates(artist, clientId);
+    processArtistWithUpdates(artist, clientId, req.app.locals.cache, { exclude, recency, filters });
 
     // Immediately return success to the client
     return res.status(202).json({
@@ -47,13 +114,100 @@ router.post('/search_with_updates', async (req, res) => {
   }
 });
 
+/**
+ * Endpoint: POST /predict_show_with_updates
+ * Predicts the setlist for one upcoming show, streamed like /search_with_updates
+ * - Uses the artist's current tour, weighting shows near the given date and
+ *   place, of the same type, and discounting songs from the previous nights
+ *   of a multi-night run
+ * 
+ * @param {Object} req.body.artist - Artist information object
+ * @param {string} req.body.clientId - SSE client ID for sending updates
+ * @param {Object} req.body.show - { date: YYYY-MM-DD, city, countryCode, venue, showType }
+ * @param {Array<string>} [req.body.exclude] - Song variants to leave out of the likelihood numbers
+ * @param {Object} [req.body.recency] - { unit: "shows" | "days", halfLife } for recency weighting
+ * @returns {Object} Tour data (with showPrediction), Spotify song information and predicted setlist
+ */
+router.post('/predict_show_with_updates', async (req, res) => {
+  const { artist, clientId } = req.body;
+
+  if (!clientId) {
+    return res.status(400).json({ error: 'Missing clientId parameter' });
+  }
+
+  const { show, error: showError } = normalizeShowTarget(req.body.show);
+  if (showError) {
+    return res.status(400).json({ error: showError });
+  }
+  const { exclude, error: excludeError } = normalizeExclude(req.body.exclude);
+  if (excludeError) {
+    return res.status(400).json({ error: excludeError });
+  }
+  const { recency, error: recencyError } = normalizeRecency(req.body.recency);
+  if (recencyError) {
+    return res.status(400).json({ error: recencyError });
+  }
+
+  try {
+    processArtistWithUpdates(artist, clientId, req.app.locals.cache, { exclude, recency, show });
+
+    return res.status(202).json({
+      message: 'Request accepted, processing started',
+      clientId
+    });
+  } catch (error) {
+    console.error('Error setting up processing:', error);
+    return res.status(500).json({ error: 'Failed to start processing' });
+  }
+});
+
+/**
+ * Endpoint: POST /upcoming_shows
+ * Lists an artist's announced shows that haven't happened yet, so a show
+ * can be picked for /predict_show_with_updates
+ * 
+ * @param {Object} req.body.artist - Artist information object
+ * @returns {Object} { bandName, shows }
+ */
+router.post('/upcoming_shows', async (req, res) => {
+  const { artist } = req.body;
+
+  if (!artist?.name) {
+    return res.status(400).json({ error: 'Missing artist parameter' });
+  }
+
+  try {
+    const identity = await resolveArtistIdentity(artist, req.app.locals.cache);
+
+    const artistPage = identity.matched
+      ? await getArtistPageByMBID(identity.mbid)
+      : await getArtistPageByName(artist);
+
+    res.json({
+      bandName: artist.name,
+      shows: getUpcomingShows(artistPage)
+    });
+  } catch (error) {
+    console.error('Error in /upcoming_shows route:', error);
+    if (error.response && error.response.status === 404) {
+      return res.json({ bandName: artist.name, shows: [] });
+    }
+    if (error.response && error.response.status === 429) {
+      return res.status(429).json({ error: "Setlist.fm is rate-limiting requests. Please try again later." });
+    }
+    res.status(500).json({ error: "Internal Server Error. Please try again later." });
+  }
+});
+
 /**
  * Process artist data with real-time updates via SSE
  * 
  * @param {Object} artist - Artist information
  * @param {string} clientId - SSE client ID
+ * @param {Object} [cache] - Cache store for song history and lookups
+ * @param {Object} [searchOptions] - { exclude, recency, filters, show } from the request
  */
-async function processArtistWithUpdates(artist, clientId) {
+async function processArtistWithUpdates(artist, clientId, cache = null, searchOptions = {}) {
   try {
     devLogger.log('sse', `Starting Live Shows search for artist`, {
       artistName: artist.name,
@@ -71,9 +225,8 @@ async function processArtistWithUpdates(artist, clientId) {
       artistUrl: artist.url
     });
 
-    const mbInfo = await fetchMBIdFromSpotifyId(artist.url);
-    const mbArtistName = mbInfo?.urls?.[0]?.["relation-list"]?.[0]?.relations?.[0]?.artist?.name;
-    const mbid = mbInfo?.urls?.[0]?.["relation-list"]?.[0]?.relations?.[0]?.artist?.id;
+    const identity = await resolveArtistIdentity(artist, cache);
+    const { mbName: mbArtistName, mbid } = identity;
 
     devLogger.log('musicbrainz', `MusicBrainz lookup completed`, {
       mbArtistName: mbArtistName,
@@ -86,7 +239,7 @@ async function processArtistWithUpdates(artist, clientId) {
     let artistPage;
     let matched = false;
 
-    if (isArtistNameMatch(artist.name, mbArtistName)) {
+    if (identity.matched) {
       devLogger.log('setlist', `Exact artist match found, using MBID lookup`, {
         artistName: artist.name,
         mbArtistName: mbArtistName,
@@ -153,10 +306,10 @@ async function processArtistWithUpdates(artist, clientId) {
       allTourInfo.push(artistPage);
     } else if (matched) {
       sseManager.sendUpdate(clientId, 'setlist_fetch', `Fetching setlists for "${tourName}" tour`, 55);
-      allTourInfo = await getAllTourSongsByMBID(artist.name, mbid, tourName);
+      allTourInfo = await getAllTourSongsByMBID(artist.name, mbid, tourName, cache);
     } else {
       sseManager.sendUpdate(clientId, 'setlist_fetch', `Fetching setlists for "${tourName}" tour`, 55);
-      allTourInfo = await getAllTourSongs(artist.name, tourName);
+      allTourInfo = await getAllTourSongs(artist.name, tourName, cache);
     }
 
     // Handle errors in tour info
@@ -173,9 +326,34 @@ async function processArtistWithUpdates(artist, clientId) {
       return;
     }
 
+    // Classified before filtering, so set lengths are compared with the whole tour's median
+    const showClassification = classifyShows(allTourInfo);
+    allTourInfo = applySetlistFilters(allTourInfo, searchOptions.filters, clientId, 65, showClassification);
+    if (!allTourInfo) {
+      return;
+    }
+
     // Step 5: Process songs from setlists
     sseManager.sendUpdate(clientId, 'song_processing', 'Analyzing setlists and counting song frequencies', 70);
-    const tourInfoOrdered = getSongTally(allTourInfo);
+    const tourInfoOrdered = getSongTally(allTourInfo, {
+      exclude: searchOptions.exclude,
+      recency: searchOptions.recency,
+      showClassification,
+    });
+    // Predicting one upcoming show: re-rank the songs and size the setlist for that show
+    let showPrediction = null;
+    if (searchOptions.show) {
+      sseManager.sendUpdate(clientId, 'show_prediction', `Weighting shows for ${searchOptions.show.date}`, 72);
+      const { songs, ...prediction } = getShowPrediction(allTourInfo, tourInfoOrdered.songsOrdered, searchOptions.show);
+      tourInfoOrdered.songsOrdered = songs;
+      showPrediction = prediction;
+    }
+    const predictedSetlist = getPredictedSetlist(allTourInfo, tourInfoOrdered.songsOrdered, {
+      showLength: showPrediction?.showLength
+    });
+    const rotationSlots = getRotationSlots(allTourInfo, tourInfoOrdered.songsOrdered);
+    const { songHistory, careerHistory } = await getSongHistoryForArtist(cache, identity);
+    tourInfoOrdered.songsOrdered = addCareerHistory(tourInfoOrdered.songsOrdered, allTourInfo, songHistory);
 
     // Step 6: Get Spotify data for songs
     // Instead of a single update, pass the SSE manager's sendUpdate function to track progress
@@ -192,7 +370,7 @@ async function processArtistWithUpdates(artist, clientId) {
       songCount: tourInfoOrdered.songsOrdered?.length || 0
     });
 
-    const spotifySongsOrdered = await getSpotifySongInfo(tourInfoOrdered.songsOrdered, progressCallback);
+    const spotifySongsOrdered = await getSpotifySongInfo(tourInfoOrdered.songsOrdered, progressCallback, cache);
 
     devLogger.log('spotify', `Spotify track lookup completed`, {
       tracksFound: spotifySongsOrdered?.length || 0,
@@ -203,7 +381,21 @@ async function processArtistWithUpdates(artist, clientId) {
     const tourData = {
       bandName: artist.name,
       tourName: tourName,
+      // Only set when setlists were fetched by MBID, so per-show views can refetch them
+      mbid: matched ? mbid : null,
       totalShows: tourInfoOrdered.totalShowsWithData,
+      recency: tourInfoOrdered.recency,
+      excludedVariants: tourInfoOrdered.excludedVariants,
+      // Whether debut/bust-out flags could be computed (see getSongHistoryForArtist)
+      careerHistory,
+      showTypes: tourInfoOrdered.showTypes,
+      showLength: tourInfoOrdered.showLength,
+      albumBreakdown: getAlbumBreakdown(spotifySongsOrdered, tourInfoOrdered.totalShowsWithData),
+      coversSummary: getCoversSummary(allTourInfo),
+      venueInsights: getVenueInsights(allTourInfo, tourInfoOrdered.songsOrdered),
+      filters: searchOptions.filters || null,
+      showPrediction,
+      rotationSlots,
     };
 
     devLogger.log('sse', `Live Shows search completed successfully`, {
@@ -213,7 +405,7 @@ async function processArtistWithUpdates(artist, clientId) {
       songsFound: spotifySongsOrdered?.length || 0
     });
 
-    sseManager.completeProcess(clientId, { tourData, spotifySongsOrdered });
+    sseManager.completeProcess(clientId, { tourData, spotifySongsOrdered, predictedSetlist });
 
     // All processing complete
 
@@ -246,18 +438,27 @@ async function processArtistWithUpdates(artist, clientId) {
  * Main endpoint to fetch setlist and tour information
  * 
  * @param {Object} req.body.artist Artist information object
+ * @param {Array<string>} [req.body.exclude] Song variants to leave out of the likelihood numbers
+ * @param {Object} [req.body.recency] { unit: "shows" | "days", halfLife } for recency weighting
  * @returns {Object} Tour data and Spotify song information
  */
 router.post('/', async (req, res) => {
   const { artist } = req.body;
+  const { exclude, error: excludeError } = normalizeExclude(req.body.exclude);
+  if (excludeError) {
+    return res.status(400).json({ error: excludeError });
+  }
+  const { recency, error: recencyError } = normalizeRecency(req.body.recency);
+  if (recencyError) {
+    return res.status(400).json({ error: recencyError });
+  }
   try {
-    const mbInfo = await fetchMBIdFromSpotifyId(artist.url);
-    const mbArtistName = mbInfo?.urls?.[0]?.["relation-list"]?.[0]?.relations?.[0]?.artist?.name;
-    const mbid = mbInfo?.urls?.[0]?.["relation-list"]?.[0]?.relations?.[0]?.artist?.id;
+    const identity = await resolveArtistIdentity(artist, req.app.locals.cache);
+    const { mbid } = identity;
 
     let artistPage;
     let matched = false;
-    if (isArtistNameMatch(artist.name, mbArtistName)) {
+    if (identity.matched) {
       console.log("MBID matches Spotify ID!")
       matched = true;
       artistPage = await getArtistPageByMBID(mbid);
@@ -280,9 +481,9 @@ router.post('/', async (req, res) => {
       allTourInfo.push(artistPage);
     }
     else if (matched) {
-      allTourInfo = await getAllTourSongsByMBID(artist.name, mbid, tourName);
+      allTourInfo = await getAllTourSongsByMBID(artist.name, mbid, tourName, req.app.locals.cache);
     } else {
-      allTourInfo = await getAllTourSongs(artist.name, tourName);
+      allTourInfo = await getAllTourSongs(artist.name, tourName, req.app.locals.cache);
     }
 
     // If function returned an error, handle it:
@@ -299,15 +500,30 @@ router.post('/', async (req, res) => {
     }
 
     // Compile an ordered list of songs from the tour info.
-    const tourInfoOrdered = getSongTally(allTourInfo);
-    const spotifySongsOrdered = await getSpotifySongInfo(tourInfoOrdered.songsOrdered);
+    const tourInfoOrdered = getSongTally(allTourInfo, { exclude, recency });
+    const predictedSetlist = getPredictedSetlist(allTourInfo, tourInfoOrdered.songsOrdered);
+    const rotationSlots = getRotationSlots(allTourInfo, tourInfoOrdered.songsOrdered);
+    const { songHistory, careerHistory } = await getSongHistoryForArtist(req.app.locals.cache, identity);
+    tourInfoOrdered.songsOrdered = addCareerHistory(tourInfoOrdered.songsOrdered, allTourInfo, songHistory);
+    const spotifySongsOrdered = await getSpotifySongInfo(tourInfoOrdered.songsOrdered, null, req.app.locals.cache);
     const tourData = {
       bandName: artist.name,
       tourName: tourName,
+      mbid: matched ? mbid : null,
       totalShows: tourInfoOrdered.totalShowsWithData,
+      recency: tourInfoOrdered.recency,
+      excludedVariants: tourInfoOrdered.excludedVariants,
+      // Whether debut/bust-out flags could be computed (see getSongHistoryForArtist)
+      careerHistory,
+      showTypes: tourInfoOrdered.showTypes,
+      showLength: tourInfoOrdered.showLength,
+      albumBreakdown: getAlbumBreakdown(spotifySongsOrdered, tourInfoOrdered.totalShowsWithData),
+      coversSummary: getCoversSummary(allTourInfo),
+      venueInsights: getVenueInsights(allTourInfo, tourInfoOrdered.songsOrdered),
+      rotationSlots,
     };
 
-    res.json({ tourData, spotifySongsOrdered });
+    res.json({ tourData, spotifySongsOrdered, predictedSetlist });
   } catch (error) {
     console.error('Error in /setlist route:', error);
 
@@ -327,6 +543,74 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * Endpoint: POST /compare_tours
+ * Tallies two tours and returns what changed between them: songs added and
+ * dropped, songs whose likelihood moved, and staples shared by both
+ * 
+ * @param {Object} req.body.artist Artist information object
+ * @param {string} req.body.fromTour Earlier / base tour name
+ * @param {string} req.body.toTour Tour to compare against
+ * @param {number} [req.body.threshold] Minimum likelihood change to report (0-1)
+ * @returns {Object} { bandName, fromTour, toTour, threshold, added, dropped, changed, staples }
+ */
+router.post('/compare_tours', async (req, res) => {
+  const { artist, fromTour, toTour, threshold } = req.body;
+
+  if (!artist?.name || !fromTour || !toTour) {
+    return res.status(400).json({ error: 'Missing artist, fromTour or toTour parameter' });
+  }
+  if (threshold !== undefined && (typeof threshold !== 'number' || threshold < 0 || threshold > 1)) {
+    return res.status(400).json({ error: 'threshold must be a number between 0 and 1' });
+  }
+
+  try {
+    const { mbid, matched } = await resolveArtistIdentity(artist, req.app.locals.cache);
+
+    const tallies = [];
+    for (const tourName of [fromTour, toTour]) {
+      await delay(600);
+      const allTourInfo = matched
+        ? await getAllTourSongsByMBID(artist.name, mbid, tourName, req.app.locals.cache)
+        : await getAllTourSongs(artist.name, tourName, req.app.locals.cache);
+
+      // If function returned an error, handle it:
+      if (!allTourInfo || !Array.isArray(allTourInfo)) {
+        if (allTourInfo && allTourInfo.statusCode) {
+          return res.status(allTourInfo.statusCode).json({ error: allTourInfo.message });
+        }
+        return res.status(400).json({ error: "Server is busy. Please try again." });
+      }
+      const totalSetlists = allTourInfo.reduce((total, page) => total + (page.setlist?.length || 0), 0);
+      if (totalSetlists === 0) {
+        return res.status(404).json({ error: `No setlists found for "${tourName}" tour.` });
+      }
+      tallies.push(getSongTally(allTourInfo));
+    }
+
+    const comparison = compareTours(tallies[0], tallies[1], { threshold });
+
+    res.json({
+      bandName: artist.name,
+      fromTour: { tourName: fromTour, totalShows: tallies[0].totalShowsWithData },
+      toTour: { tourName: toTour, totalShows: tallies[1].totalShowsWithData },
+      ...comparison
+    });
+  } catch (error) {
+    console.error('Error in /compare_tours route:', error);
+
+    if (error.response && error.response.status === 504) {
+      return res.status(504).json({
+        error: "Setlist.fm service is currently unavailable. Please try again later."
+      });
+    }
+    if (error.response) {
+      return res.status(error.response.status).json({ error: error.response.data.error || "An error occurred while fetching setlists." });
+    }
+    res.status(500).json({ error: "Internal Server Error. Please try again later." });
+  }
+});
+
 /**
  * Endpoint: POST /artist_search
  * Searches for artists on Spotify
@@ -386,6 +670,9 @@ router.post('/artist_search_deezer', async (req, res) => {
  * @param {string} req.body.tourId - Tour ID from scraped tours
  * @param {string} req.body.tourName - Tour name from scraped tours
  * @param {string} req.body.clientId - SSE client ID for sending updates
+ * @param {Array<string>} [req.body.exclude] - Song variants to leave out of the likelihood numbers
+ * @param {Object} [req.body.recency] - { unit: "shows" | "days", halfLife } for recency weighting
+ * @param {Object} [req.body.filters] - Date range / country / continent / city / showType filters
  * @returns {Object} Tour data and Spotify song information
  */
 router.post('/search_tour_with_updates', async (req, res) => {
@@ -406,6 +693,19 @@ router.post('/search_tour_with_updates', async (req, res) => {
     return res.status(400).json({ error: 'Missing tourName parameter' });
   }
 
+  const { filters, error: filterError } = normalizeSetlistFilters(req.body.filters);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+  const { exclude, error: excludeError } = normalizeExclude(req.body.exclude);
+  if (excludeError) {
+    return res.status(400).json({ error: excludeError });
+  }
+  const { recency, error: recencyError } = normalizeRecency(req.body.recency);
+  if (recencyError) {
+    return res.status(400).json({ error: recencyError });
+  }
+
   // Allow tourId to be null for new tour system
   if (!tourId) {
     console.log('No tourId provided, using tour name only:', tourName);
@@ -413,7 +713,7 @@ router.post('/search_tour_with_updates', async (req, res) => {
 
   try {
     // Start processing specific tour and send updates via SSE
-    processTourWithUpdates(artist, tourId, tourName, clientId);
+    processTourWithUpdates(artist, tourId, tourName, clientId, req.app.locals.cache, { exclude, recency, filters });
 
     // Immediately return success to the client
     return res.status(202).json({
@@ -434,28 +734,29 @@ router.post('/search_tour_with_updates', async (req, res) => {
  * @param {string} tourId - Tour ID from scraped tours
  * @param {string} tourName - Tour name from scraped tours
  * @param {string} clientId - SSE client ID
+ * @param {Object} [cache] - Cache store for song history and lookups
+ * @param {Object} [searchOptions] - { exclude, recency, filters } from the request
  */
-async function processTourWithUpdates(artist, tourId, tourName, clientId) {
+async function processTourWithUpdates(artist, tourId, tourName, clientId, cache = null, searchOptions = {}) {
   try {
     sseManager.sendUpdate(clientId, 'start', `Starting search for ${artist.name} - ${tourName}`, 5);
 
     // Step 1: Fetch MusicBrainz ID (same as regular search)
     sseManager.sendUpdate(clientId, 'musicbrainz', 'Contacting MusicBrainz for artist identification', 15);
-    const mbInfo = await fetchMBIdFromSpotifyId(artist.url);
-    const mbArtistName = mbInfo?.urls?.[0]?.["relation-list"]?.[0]?.relations?.[0]?.artist?.name;
-    const mbid = mbInfo?.urls?.[0]?.["relation-list"]?.[0]?.relations?.[0]?.artist?.id;
+    const identity = await resolveArtistIdentity(artist, cache);
+    const { mbid } = identity;
 
     // Step 2: Get tour setlists directly (skip tour selection logic)
     let allTourInfo = [];
     let matched = false;
 
-    if (isArtistNameMatch(artist.name, mbArtistName)) {
+    if (identity.matched) {
       sseManager.sendUpdate(clientId, 'setlist_fetch', `Found exact match for ${artist.name}, fetching ${tourName} setlists`, 40);
       matched = true;
-      allTourInfo = await getAllTourSongsByMBID(artist.name, mbid, tourName);
+      allTourInfo = await getAllTourSongsByMBID(artist.name, mbid, tourName, cache);
     } else {
       sseManager.sendUpdate(clientId, 'setlist_fetch', `Fetching setlists for "${tourName}" tour`, 40);
-      allTourInfo = await getAllTourSongs(artist.name, tourName);
+      allTourInfo = await getAllTourSongs(artist.name, tourName, cache);
     }
 
     // Handle errors in tour info
@@ -479,9 +780,24 @@ async function processTourWithUpdates(artist, tourId, tourName, clientId) {
       return;
     }
 
+    // Classified before filtering, so set lengths are compared with the whole tour's median
+    const showClassification = classifyShows(allTourInfo);
+    allTourInfo = applySetlistFilters(allTourInfo, searchOptions.filters, clientId, 58, showClassification);
+    if (!allTourInfo) {
+      return;
+    }
+
     // Step 3: Process songs from setlists
     sseManager.sendUpdate(clientId, 'song_processing', 'Analyzing setlists and counting song frequencies', 70);
-    const tourInfoOrdered = getSongTally(allTourInfo);
+    const tourInfoOrdered = getSongTally(allTourInfo, {
+      exclude: searchOptions.exclude,
+      recency: searchOptions.recency,
+      showClassification,
+    });
+    const predictedSetlist = getPredictedSetlist(allTourInfo, tourInfoOrdered.songsOrdered);
+    const rotationSlots = getRotationSlots(allTourInfo, tourInfoOrdered.songsOrdered);
+    const { songHistory, careerHistory } = await getSongHistoryForArtist(cache, identity);
+    tourInfoOrdered.songsOrdered = addCareerHistory(tourInfoOrdered.songsOrdered, allTourInfo, songHistory);
 
     // Step 4: Get Spotify data for songs
     const progressCallback = (progressData) => {
@@ -493,16 +809,28 @@ async function processTourWithUpdates(artist, tourId, tourName, clientId) {
       );
     };
 
-    const spotifySongsOrdered = await getSpotifySongInfo(tourInfoOrdered.songsOrdered, progressCallback);
+    const spotifySongsOrdered = await getSpotifySongInfo(tourInfoOrdered.songsOrdered, progressCallback, cache);
 
     // Final step: Return complete data
     const tourData = {
       bandName: artist.name,
       tourName: tourName,
+      mbid: matched ? mbid : null,
       totalShows: tourInfoOrdered.totalShowsWithData,
+      recency: tourInfoOrdered.recency,
+      excludedVariants: tourInfoOrdered.excludedVariants,
+      // Whether debut/bust-out flags could be computed (see getSongHistoryForArtist)
+      careerHistory,
+      showTypes: tourInfoOrdered.showTypes,
+      showLength: tourInfoOrdered.showLength,
+      albumBreakdown: getAlbumBreakdown(spotifySongsOrdered, tourInfoOrdered.totalShowsWithData),
+      coversSummary: getCoversSummary(allTourInfo),
+      venueInsights: getVenueInsights(allTourInfo, tourInfoOrdered.songsOrdered),
+      filters: searchOptions.filters || null,
+      rotationSlots,
     };
 
-    sseManager.completeProcess(clientId, { tourData, spotifySongsOrdered });
+    sseManager.completeProcess(clientId, { tourData, spotifySongsOrdered, predictedSetlist });
 
   } catch (error) {
     console.error('Error in processTourWithUpdates:', error);
@@ -523,13 +851,129 @@ async function processTourWithUpdates(artist, tourId, tourName, clientId) {
   }
 }
 
+/**
+ * Endpoint: GET /tour/:mbid/:tourName/matrix
+ * Returns a show × song matrix for a tour: one row per setlist with the
+ * songs played and their positions
+ *
+ * @param {string} req.params.mbid - MusicBrainz ID of the artist
+ * @param {string} req.params.tourName - Tour name (URL encoded)
+ * @param {string} [req.query.artistName] - Artist name, used for logging
+ * @returns {Object} { tourName, totalShows, shows: Array, songs: Array }
+ */
+router.get('/tour/:mbid/:tourName/matrix', async (req, res) => {
+  const { mbid, tourName } = req.params;
+  const artistName = req.query.artistName || mbid;
+
+  try {
+    const allTourInfo = await getAllTourSongsByMBID(artistName, mbid, tourName, req.app.locals.cache);
+
+    // If function returned an error, handle it:
+    if (!allTourInfo || !Array.isArray(allTourInfo)) {
+      if (allTourInfo && allTourInfo.statusCode) {
+        return res.status(allTourInfo.statusCode).json({ error: allTourInfo.message });
+      }
+      return res.status(400).json({ error: "Server is busy. Please try again." });
+    }
+
+    const { shows, songs } = getShowMatrix(allTourInfo);
+
+    devLogger.log('setlist', `Show matrix built`, {
+      artistName,
+      tourName,
+      shows: shows.length,
+      songs: songs.length
+    });
+
+    res.json({
+      tourName,
+      totalShows: shows.length,
+      shows,
+      songs
+    });
+  } catch (error) {
+    console.error('Error in /tour/:mbid/:tourName/matrix route:', error);
+    res.status(500).json({ error: "Internal Server Error. Please try again later." });
+  }
+});
+
+/**
+ * Endpoint: GET /tour/:mbid/:tourName/support_acts
+ * Cross-queries a sample of the tour's headline shows by venue and date to
+ * find the support acts and co-headliners that played the same bills
+ * 
+ * @param {string} req.params.mbid - MusicBrainz ID of the artist
+ * @param {string} req.params.tourName - Tour name
+ * @param {string} [req.query.artistName] - Artist name (for logging)
+ * @returns {Object} { tourName, sampledShows, acts }
+ */
+router.get('/tour/:mbid/:tourName/support_acts', async (req, res) => {
+  const { mbid, tourName } = req.params;
+  const artistName = req.query.artistName || mbid;
+
+  try {
+    const allTourInfo = await getAllTourSongsByMBID(artistName, mbid, tourName, req.app.locals.cache);
+
+    // If function returned an error, handle it:
+    if (!allTourInfo || !Array.isArray(allTourInfo)) {
+      if (allTourInfo && allTourInfo.statusCode) {
+        return res.status(allTourInfo.statusCode).json({ error: allTourInfo.message });
+      }
+      return res.status(400).json({ error: "Server is busy. Please try again." });
+    }
+
+    const sample = getSupportActSample(allTourInfo);
+    const samples = [];
+    for (const setlist of sample) {
+      const others = await getSetlistsByVenueAndDate(setlist.venue.id, setlist.eventDate);
+      samples.push({ setlist, others });
+    }
+    const acts = getSupportActs(samples);
+
+    res.json({
+      tourName,
+      sampledShows: samples.length,
+      acts
+    });
+  } catch (error) {
+    console.error('Error in /tour/:mbid/:tourName/support_acts route:', error);
+    if (error.response && error.response.status === 429) {
+      return res.status(429).json({ error: "Setlist.fm is rate-limiting requests. Please try again later." });
+    }
+    res.status(500).json({ error: "Internal Server Error. Please try again later." });
+  }
+});
+
+/**
+ * Endpoint: POST /support_act_tracks
+ * Looks up a support act's likely songs on Spotify so they can be added to a playlist
+ * 
+ * @param {Array} req.body.songs - Songs to look up ({ song, artist, count })
+ * @returns {Array} Songs with Spotify data
+ */
+router.post('/support_act_tracks', async (req, res) => {
+  const { songs } = req.body;
+
+  if (!Array.isArray(songs) || songs.length === 0 || songs.some((entry) => !entry?.song || !entry?.artist)) {
+    return res.status(400).json({ error: 'songs must be a non-empty array of { song, artist }' });
+  }
+
+  try {
+    const tracks = await getSpotifySongInfo(songs, null, req.app.locals.cache);
+    res.json(tracks);
+  } catch (error) {
+    console.error('Error in /support_act_tracks route:', error);
+    res.status(500).json({ error: "Internal Server Error. Please try again later." });
+  }
+});
+
 /**
  * Endpoint: POST /artist/:artistId/tours
  * Fetches all tours for a specific artist using Setlist.fm API with MusicBrainz validation
  * 
  * @param {string} req.params.artistId - Artist name (URL decoded)
  * @param {Object} req.body.artist - Full artist object with name, id, url, etc.
- * @returns {Object} { tours: Array, validatedArtistName: string }
+ * @returns {Object} { tours: Array, validatedArtistName: string, stale: boolean, refreshing: boolean }
  */
 router.post('/artist/:artistId/tours', async (req, res) => {
   try {
@@ -561,20 +1005,19 @@ router.post('/artist/:artistId/tours', async (req, res) => {
     try {
       console.log('Applying MusicBrainz validation for artist:', artistName, 'with URL:', artist.url);
 
-      const mbInfo = await fetchMBIdFromSpotifyId(artist.url);
-
-      const mbArtistName = mbInfo?.urls?.[0]?.["relation-list"]?.[0]?.relations?.[0]?.artist?.name;
-      mbid = mbInfo?.urls?.[0]?.["relation-list"]?.[0]?.relations?.[0]?.artist?.id;
-
-      console.log('Extracted MusicBrainz data:', { mbArtistName, mbid });
+      const identity = await resolveArtistIdentity(
+        { ...artist, name: artistName },
+        req.app.locals.cache
+      );
+      mbid = identity.mbid;
 
-      const nameMatch = isArtistNameMatch(artistName, mbArtistName);
+      console.log('Resolved artist identity:', { mbArtistName: identity.mbName, mbid });
 
-      if (mbArtistName && nameMatch) {
-        console.log(`MusicBrainz validation successful: "${artistName}" matches "${mbArtistName}"`);
-        validatedArtistName = mbArtistName; // Use the canonical MusicBrainz name
+      if (identity.matched) {
+        console.log(`MusicBrainz validation successful: "${artistName}" matches "${identity.mbName}"`);
+        validatedArtistName = identity.name; // Use the canonical MusicBrainz name
       } else {
-        console.log(`MusicBrainz validation failed or no match: "${artistName}" vs "${mbArtistName}"`);
+        console.log(`MusicBrainz validation failed or no match: "${artistName}" vs "${identity.mbName}"`);
       }
     } catch (error) {
       console.error('MusicBrainz validation error:', error.message);
@@ -585,11 +1028,13 @@ router.post('/artist/:artistId/tours', async (req, res) => {
     console.log('Fetching all tours for:', validatedArtistName, 'with MBID:', mbid);
 
     try {
-      // Get Redis client from app locals
-      const redisClient = req.app.locals.redisClient;
+      // Get the cache store from app locals
+      const cache = req.app.locals.cache;
 
-      // Fetch all tours using the new API-based function with Redis caching
-      const tours = await fetchAllToursFromAPI(validatedArtistName, mbid, null, redisClient);
+      // Fetch all tours using the new API-based function with caching
+      const { tours, stale, refreshing, fetchedAt } = await getToursWithRevalidation(
+        validatedArtistName, mbid, null, cache
+      );
 
       console.log(`Found ${tours.length} tours for ${validatedArtistName}`);
 
@@ -604,7 +1049,10 @@ router.post('/artist/:artistId/tours', async (req, res) => {
       return res.json({
         tours: tours,
         validatedArtistName: validatedArtistName,
-        totalTours: tours.length
+        totalTours: tours.length,
+        stale,
+        refreshing,
+        fetchedAt
       });
 
     } catch (error) {
@@ -656,12 +1104,11 @@ router.post('/artist/:artistId/tours', async (req, res) => {
 
     if (artist.url && artist.url.includes('spotify.com')) {
       try {
-        const mbInfo = await fetchMBIdFromSpotifyId(artist.url);
-        const mbArtistName = mbInfo?.urls?.[0]?.["relation-list"]?.[0]?.relations?.[0]?.artist?.name;
-        mbid = mbInfo?.urls?.[0]?.["relation-list"]?.[0]?.relations?.[0]?.artist?.id;
+        const identity = await resolveArtistIdentity(artist, req.app.locals.cache);
+        mbid = identity.mbid;
 
-        if (isArtistNameMatch(artist.name, mbArtistName)) {
-          validatedArtistName = mbArtistName || artist.name;
+        if (identity.matched) {
+          validatedArtistName = identity.name;
           console.log(`Using MusicBrainz validated name: ${validatedArtistName} (MBID: ${mbid})`);
         }
       } catch (mbError) {
@@ -669,11 +1116,11 @@ router.post('/artist/:artistId/tours', async (req, res) => {
       }
     }
 
-    // Get Redis client if available
-    const redisClient = req.app.locals.redisClient;
+    // Get the cache store if available
+    const cache = req.app.locals.cache;
 
     // Fetch tours using the non-streaming version
-    const tours = await fetchAllToursFromAPI(validatedArtistName, mbid, null, redisClient);
+    const tours = await fetchAllToursFromAPI(validatedArtistName, mbid, null, cache);
 
     // Return the tours as JSON
     res.json({
@@ -739,15 +1186,13 @@ async function processAdvancedWithUpdates(artist, clientId, req) {
     // Validate/resolve artist via MusicBrainz
     sseManager.sendUpdate(clientId, 'artist_validation', 'Validating artist identity...', 10);
 
+    let identity = null;
     let mbid = null;
     let validatedArtistName = artist.name;
     try {
-      const mbInfo = await fetchMBIdFromSpotifyId(artist.url);
-      const mbArtistName = mbInfo?.urls?.[0]?.["relation-list"]?.[0]?.relations?.[0]?.artist?.name;
-      mbid = mbInfo?.urls?.[0]?.["relation-list"]?.[0]?.relations?.[0]?.artist?.id;
-      if (mbArtistName && isArtistNameMatch(artist.name, mbArtistName)) {
-        validatedArtistName = mbArtistName;
-      }
+      identity = await resolveArtistIdentity(artist, req.app?.locals?.cache || null);
+      mbid = identity.mbid;
+      validatedArtistName = identity.name;
     } catch (mbError) {
       console.log('MusicBrainz validation failed, continuing with provided name:', mbError.message);
     }
@@ -765,17 +1210,21 @@ async function processAdvancedWithUpdates(artist, clientId, req) {
       });
     };
 
-    // Fetch Redis client if available
-    const redisClient = req.app?.locals?.redisClient || null;
+    // Fetch the cache store if available
+    const cache = req.app?.locals?.cache || null;
 
     // Fetch all tours with streaming-like progress (but return final list at end)
-    const tours = await fetchAllToursFromAPI(
+    // A stale cached list is returned right away and refreshed in the background
+    const { tours, stale, refreshing, fetchedAt } = await getToursWithRevalidation(
       validatedArtistName,
       mbid,
       progressCallback,
-      redisClient
+      cache
     );
 
+    // For linking the artist's setlist.fm page next to the tour list
+    const setlistSlug = identity ? await resolveArtistSlug(artist, identity, cache) : null;
+
     // Finalization + complete
     sseManager.sendUpdate(
       clientId,
@@ -787,7 +1236,11 @@ async function processAdvancedWithUpdates(artist, clientId, req) {
     sseManager.completeProcess(clientId, {
       tours,
       validatedArtistName,
-      totalTours: tours.length
+      setlistSlug,
+      totalTours: tours.length,
+      stale,
+      refreshing,
+      fetchedAt
     });
 
   } catch (error) {
@@ -802,4 +1255,145 @@ async function processAdvancedWithUpdates(artist, clientId, req) {
   }
 }
 
-module.exports = router;
\ No newline at end of file
+/**
+ * Endpoint: POST /refreshed_tours
+ * Returns an artist's tour list once its background refresh (started when a
+ * stale list was served by /advanced_with_updates) has finished
+ *
+ * @param {Object} req.body.artist - Artist information object { name, id, url }
+ * @returns {Object} { tours, validatedArtistName, totalTours, stale, fetchedAt }
+ */
+router.post('/refreshed_tours', async (req, res) => {
+  const { artist } = req.body;
+
+  if (!artist || !artist.name || !artist.url) {
+    return res.status(400).json({ error: 'Invalid artist data' });
+  }
+
+  const cache = req.app.locals.cache;
+  if (!cache) {
+    return res.status(404).json({ error: 'No cached tours for this artist' });
+  }
+
+  try {
+    let mbid = null;
+    let validatedArtistName = artist.name;
+    try {
+      const identity = await resolveArtistIdentity(artist, cache);
+      mbid = identity.mbid;
+      validatedArtistName = identity.name;
+    } catch (mbError) {
+      console.log('MusicBrainz validation failed, continuing with provided name:', mbError.message);
+    }
+
+    const refreshed = await waitForTourRefresh(validatedArtistName, mbid, cache);
+    if (!refreshed) {
+      return res.status(404).json({ error: 'No cached tours for this artist' });
+    }
+
+    res.json({
+      tours: refreshed.tours,
+      validatedArtistName,
+      totalTours: refreshed.tours.length,
+      stale: refreshed.stale,
+      fetchedAt: refreshed.fetchedAt
+    });
+  } catch (error) {
+    console.error('Error in /refreshed_tours route:', error);
+    res.status(500).json({ error: "Internal Server Error. Please try again later." });
+  }
+});
+
+/**
+ * Endpoint: POST /career_with_updates
+ * Career-wide song statistics across every setlist for an artist, with
+ * page-by-page progress over SSE (same scan as /advanced_with_updates)
+ *
+ * @param {Object} req.body.artist - Artist information object { name, id, url }
+ * @param {string} req.body.clientId - SSE client ID for sending updates
+ * @returns {Object} 202 Accepted; results are sent over SSE
+ */
+router.post('/career_with_updates', async (req, res) => {
+  const { artist, clientId } = req.body;
+
+  if (!clientId) {
+    return res.status(400).json({ error: 'Missing clientId parameter' });
+  }
+
+  if (!artist || !artist.name || !artist.url) {
+    sseManager.sendError(clientId, 'Invalid artist data. Missing artist object with name and url.', 400);
+    return res.status(400).json({ error: 'Invalid artist data' });
+  }
+
+  try {
+    processCareerWithUpdates(artist, clientId, req);
+
+    return res.status(202).json({
+      message: 'Career stats started',
+      clientId
+    });
+  } catch (error) {
+    console.error('Error setting up career processing:', error);
+    return res.status(500).json({ error: 'Failed to start career processing' });
+  }
+});
+
+/**
+ * Background processor for career stats with SSE progress
+ * - Reuses the cached song history from a Past Tours search when available
+ */
+async function processCareerWithUpdates(artist, clientId, req) {
+  try {
+    sseManager.sendUpdate(clientId, 'start', `Starting career stats for ${artist.name}`, 5);
+    sseManager.sendUpdate(clientId, 'artist_validation', 'Validating artist identity...', 10);
+
+    let mbid = null;
+    let validatedArtistName = artist.name;
+    try {
+      const identity = await resolveArtistIdentity(artist, req.app?.locals?.cache || null);
+      mbid = identity.mbid;
+      validatedArtistName = identity.name;
+    } catch (mbError) {
+      console.log('MusicBrainz validation failed, continuing with provided name:', mbError.message);
+    }
+
+    const progressCallback = ({ currentPage, totalPages }) => {
+      const total = Math.max(totalPages || 1, 1);
+      const percent = Math.min(85, Math.round(15 + (currentPage / total) * 70));
+      const msg = totalPages
+        ? `Processing setlist page ${currentPage} of ${totalPages}...`
+        : `Processing setlist page ${currentPage}...`;
+      sseManager.sendUpdate(clientId, 'page_progress', msg, percent, {
+        currentPage,
+        totalPages
+      });
+    };
+
+    const cache = req.app?.locals?.cache || null;
+    const songHistory = await fetchSongHistory(validatedArtistName, mbid, progressCallback, cache);
+
+    sseManager.sendUpdate(clientId, 'song_processing', 'Counting plays across every tour...', 90);
+    const careerStats = getCareerStats(songHistory);
+
+    if (careerStats.totalShows === 0) {
+      sseManager.sendError(clientId, 'No setlists with songs found for this artist on Setlist.fm.', 404);
+      return;
+    }
+
+    sseManager.completeProcess(clientId, {
+      bandName: validatedArtistName,
+      ...careerStats
+    });
+  } catch (error) {
+    console.error('Error in processCareerWithUpdates:', error);
+    if (error.response && error.response.status === 504) {
+      sseManager.sendError(clientId, 'Setlist.fm service is currently unavailable. Please try again later.', 504);
+    } else if (error.response) {
+      sseManager.sendError(clientId, error.response.data?.error || 'An error occurred while fetching setlists.', error.response.status);
+    } else {
+      sseManager.sendError(clientId, 'Internal Server Error. Please try again later.', 500);
+    }
+  }
+}
+
+module.exports = router;
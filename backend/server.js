@@ -2,59 +2,78 @@
 require('dotenv').config();
 const express = require('express');
 const session = require('express-session');
-const { RedisStore } = require('connect-redis');
 const { createClient } = require('redis');
 const cors = require('cors');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const { createCacheStore, getCacheBackend } = require('./utils/cacheStore');
+const { createSessionStore } = require('./utils/sessionStore');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Cache backend: "auto" (Redis, falling back to in-memory while it's down),
+// "redis" or "memory"; runs without Redis when REDIS_ENABLED=false or no REDIS_URL
+const cacheBackend = getCacheBackend(process.env);
+const redisEnabled = process.env.REDIS_ENABLED !== 'false' && !!process.env.REDIS_URL;
+
 // Create Redis client with improved connection handling
-const redisClient = createClient({
+const redisClient = redisEnabled ? createClient({
   url: process.env.REDIS_URL,
   socket: {
     connectTimeout: 60000, // 60 seconds
     keepAlive: 30000, // Send keep-alive every 30 seconds
     reconnectStrategy: (retries) => {
       if (retries > 10) {
-        console.error('Too many retries on Redis. Giving up.');
-        return new Error('Too many retries');
+        // Keep trying slowly; caches use the in-memory fallback meanwhile
+        if (retries === 11) {
+          console.error('Too many retries on Redis. Retrying every 30s.');
+        }
+        return 30000;
       }
       return Math.min(retries * 100, 3000); // increasing delay, capped at 3s
     }
   }
+}) : null;
+
+if (redisClient) {
+  // Set up Redis event listeners for connection management
+  redisClient.on('error', (err) => {
+    console.error('Redis connection error:', err);
+    if (err.code === 'ECONNRESET' || err.code === 'CONNECTION_BROKEN') {
+      console.log('Connection reset detected - Redis will automatically attempt to reconnect');
+    }
+  });
+
+  redisClient.on('reconnecting', () => {
+    console.log('Attempting to reconnect to Redis...');
+  });
+
+  redisClient.on('connect', () => {
+    console.log('Connected/Reconnected to Redis');
+  });
+
+  // Connect to Redis
+  redisClient.connect()
+    .then(() => console.log('Connected to Redis'))
+    .catch(err => console.error('Redis connection error:', err));
+} else {
+  console.log('Redis disabled; using in-memory sessions and caches');
+}
+
+// In-memory cache size limit (CACHE_MEMORY_MAX_MB, ~64 MB by default)
+const cacheMemoryMaxMb = Number(process.env.CACHE_MEMORY_MAX_MB);
+const cache = createCacheStore({
+  backend: cacheBackend,
+  redisClient,
+  maxBytes: cacheMemoryMaxMb > 0 ? cacheMemoryMaxMb * 1024 * 1024 : undefined
 });
+console.log(`Cache backend: ${cacheBackend}`);
 
-// Set up Redis event listeners for connection management
-redisClient.on('error', (err) => {
-  console.error('Redis connection error:', err);
-  if (err.code === 'ECONNRESET' || err.code === 'CONNECTION_BROKEN') {
-    console.log('Connection reset detected - Redis will automatically attempt to reconnect');
-  }
-});
-
-redisClient.on('reconnecting', () => {
-  console.log('Attempting to reconnect to Redis...');
-});
-
-redisClient.on('connect', () => {
-  console.log('Connected/Reconnected to Redis');
-});
-
-// Connect to Redis
-redisClient.connect()
-  .then(() => console.log('Connected to Redis'))
-  .catch(err => console.error('Redis connection error:', err));
-
-// Make Redis client available to route handlers
-app.set('redisClient', redisClient);
-
-// Make Redis client available to routes via app.locals for caching system
+// Make the cache store available to routes via app.locals for caching system
 app.use((req, res, next) => {
-  req.app.locals.redisClient = redisClient;
+  req.app.locals.cache = cache;
   next();
 });
 
@@ -78,8 +97,9 @@ app.use(cors({
 // Handle preflight OPTIONS requests for all routes.
 app.options('*', cors());
 
-// Initialize RedisStore
-const store = new RedisStore({ client: redisClient });
+// Session store follows the cache backend: Redis, in-memory, or Redis with an
+// in-memory fallback while it's down (see sessionStore.js)
+const store = createSessionStore({ backend: cacheBackend, redisClient });
 
 // Session Middleware
 app.use(session({
@@ -100,7 +120,7 @@ app.use(session({
 const REDIS_PING_INTERVAL = 30000; // 30 seconds
 setInterval(async () => {
   try {
-    if (redisClient.isOpen) {
+    if (redisClient?.isOpen) {
       await redisClient.ping();
       // Uncomment for debugging:
       // console.log('Redis ping successful');
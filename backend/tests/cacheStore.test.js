@@ -0,0 +1,106 @@
+// File: ./backend/tests/cacheStore.test.js
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const {
+  createCacheStore, createMemoryCache, getCacheBackend
+} = require('../utils/cacheStore');
+
+/**
+ * Minimal stand-in for a node-redis v4 client
+ */
+function createFakeRedis({ isReady = true } = {}) {
+  const data = new Map();
+  return {
+    isReady,
+    data,
+    get: async (key) => data.get(key) ?? null,
+    mGet: async (keys) => keys.map((key) => data.get(key) ?? null),
+    setEx: async (key, ttl, value) => {
+      data.set(key, value);
+      return 'OK';
+    },
+    del: async (key) => (data.delete(key) ? 1 : 0),
+    ttl: async (key) => (data.has(key) ? 60 : -2),
+  };
+}
+
+test('memory cache stores strings and reads them back', async () => {
+  const cache = createMemoryCache();
+  await cache.setEx('a', 60, JSON.stringify({ n: 1 }));
+  assert.deepStrictEqual(JSON.parse(await cache.get('a')), { n: 1 });
+  assert.deepStrictEqual(await cache.mGet(['a', 'missing']), ['{"n":1}', null]);
+  assert.strictEqual(await cache.del('a'), 1);
+  assert.strictEqual(await cache.get('a'), null);
+});
+
+test('memory cache expires entries after their TTL', async (t) => {
+  mock.timers.enable({ apis: ['Date'], now: 0 });
+  t.after(() => mock.timers.reset());
+  const cache = createMemoryCache();
+  await cache.setEx('a', 10, 'value');
+  mock.timers.tick(4000);
+  assert.strictEqual(await cache.ttl('a'), 6);
+  mock.timers.tick(6000);
+  assert.strictEqual(await cache.get('a'), null);
+  assert.strictEqual(await cache.ttl('a'), -2);
+});
+
+test('memory cache evicts the least recently used entry past maxEntries', async () => {
+  const cache = createMemoryCache({ maxEntries: 2 });
+  await cache.setEx('a', 60, 'A');
+  await cache.setEx('b', 60, 'B');
+  await cache.get('a'); // "b" is now the least recently used
+  await cache.setEx('c', 60, 'C');
+  assert.deepStrictEqual(await cache.mGet(['a', 'b', 'c']), ['A', null, 'C']);
+});
+
+test('memory cache stays under maxBytes', async () => {
+  // Each entry: (1 char key + 99 char value) * 2 bytes = 200 bytes
+  const cache = createMemoryCache({ maxBytes: 450 });
+  await cache.setEx('a', 60, 'x'.repeat(99));
+  await cache.setEx('b', 60, 'x'.repeat(99));
+  await cache.setEx('c', 60, 'x'.repeat(99));
+  assert.strictEqual(await cache.get('a'), null);
+  assert.notStrictEqual(await cache.get('c'), null);
+
+  // Values bigger than the whole cache are skipped instead of flushing it
+  await cache.setEx('huge', 60, 'x'.repeat(1000));
+  assert.strictEqual(await cache.get('huge'), null);
+  assert.notStrictEqual(await cache.get('b'), null);
+});
+
+test('auto store uses Redis while it is ready and memory while it is not', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const redis = createFakeRedis({ isReady: false });
+  const cache = createCacheStore({ backend: 'auto', redisClient: redis });
+
+  await cache.setEx('a', 60, 'from memory');
+  assert.strictEqual(cache.backend, 'memory');
+  assert.strictEqual(redis.data.size, 0);
+  assert.strictEqual(await cache.get('a'), 'from memory');
+
+  redis.isReady = true;
+  await cache.setEx('b', 60, 'from redis');
+  assert.strictEqual(cache.backend, 'redis');
+  assert.strictEqual(redis.data.get('b'), 'from redis');
+
+  // A failing Redis command falls back to memory for that call
+  redis.get = async () => {
+    throw new Error('connection lost');
+  };
+  assert.strictEqual(await cache.get('a'), 'from memory');
+});
+
+test('createCacheStore honours the configured backend', () => {
+  const redis = createFakeRedis();
+  assert.strictEqual(createCacheStore({ backend: 'redis', redisClient: redis }), redis);
+  assert.strictEqual(createCacheStore({ backend: 'memory', redisClient: redis }).backend, 'memory');
+  assert.strictEqual(createCacheStore({ backend: 'auto' }).backend, 'memory');
+});
+
+test('getCacheBackend reads CACHE_BACKEND, then the Redis settings', () => {
+  assert.strictEqual(getCacheBackend({ CACHE_BACKEND: 'Redis' }), 'redis');
+  assert.strictEqual(getCacheBackend({}), 'memory');
+  assert.strictEqual(getCacheBackend({ REDIS_URL: 'redis://localhost' }), 'auto');
+  assert.strictEqual(getCacheBackend({ REDIS_URL: 'redis://localhost', REDIS_ENABLED: 'false' }), 'memory');
+});
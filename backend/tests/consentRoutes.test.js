@@ -0,0 +1,45 @@
+// File: ./backend/tests/consentRoutes.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const consentRoutes = require('../routes/consentRoutes');
+const { createMemoryCache } = require('../utils/cacheStore');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  // No Redis client: consent has to work from the in-memory cache
+  app.locals.cache = createMemoryCache();
+  app.use('/consent', consentRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/consent`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('consent is logged and verified without Redis', async () => {
+  const logResponse = await fetch(`${baseUrl}/log`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ consentData: { date: '2026-01-01', agreedToTerms: true, agreedToPrivacy: true } }),
+  });
+  assert.strictEqual(logResponse.status, 200);
+  const { consentId } = await logResponse.json();
+
+  const verifyResponse = await fetch(`${baseUrl}/verify/${consentId}`);
+  assert.strictEqual(verifyResponse.status, 200);
+  const body = await verifyResponse.json();
+  assert.strictEqual(body.verified, true);
+  assert.strictEqual(body.details.agreedToTerms, true);
+});
+
+test('unknown consent IDs are not verified', async () => {
+  const response = await fetch(`${baseUrl}/verify/missing`);
+  assert.strictEqual(response.status, 404);
+});
@@ -0,0 +1,75 @@
+// File: ./backend/tests/setlistFormatData.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getSongTally, compareTours, getVenueInsights } = require('../utils/setlistFormatData');
+
+/**
+ * Builds a one-show setlist.fm page with the given extra setlist fields
+ */
+function showPage(fields) {
+  return {
+    total: 1,
+    setlist: [{
+      id: 'a',
+      eventDate: '01-06-2024',
+      artist: { name: 'Band' },
+      venue: { name: 'Venue', city: { name: 'City', country: { code: 'GB' } } },
+      sets: { set: [{ song: [{ name: 'Song' }] }] },
+      ...fields,
+    }],
+  };
+}
+
+const startTime = (fields) => getSongTally([showPage(fields)]).showLength.startTime;
+
+test('start times are read from explicit start notes in the info text', () => {
+  assert.strictEqual(startTime({ info: 'Start: 20:30' }), '20:30');
+  assert.strictEqual(startTime({ info: 'Show started at 9:15 pm, sold out' }), '21:15');
+  assert.strictEqual(startTime({ info: 'Set time 21.00' }), '21:00');
+  assert.strictEqual(startTime({ info: 'Doors 7pm. On stage at 9pm.' }), '21:00');
+  assert.strictEqual(startTime({ info: 'Started at 12:05 a.m.' }), '00:05');
+});
+
+test('other times in the info text are not taken as the start time', () => {
+  assert.strictEqual(startTime({ info: 'Song at 3:45 was dedicated to the crew' }), null);
+  assert.strictEqual(startTime({ info: 'Curfew 23:00' }), null);
+  assert.strictEqual(startTime({ info: 'Show started 2 songs late' }), null);
+  assert.strictEqual(startTime({ info: 'Start: 25:10' }), null);
+});
+
+test('a setlist time field is ignored', () => {
+  assert.strictEqual(startTime({ time: '20:30' }), null);
+});
+
+/**
+ * Builds a setlist.fm page with one show per list of song names, all at the same venue
+ */
+function tourPage(songsPerShow) {
+  return {
+    total: songsPerShow.length,
+    setlist: songsPerShow.map((songs, index) => ({
+      id: String(index),
+      eventDate: `0${index + 1}-06-2024`,
+      artist: { name: 'Band' },
+      venue: { id: 'v1', name: 'Venue', city: { name: 'City', country: { code: 'GB' } } },
+      sets: { set: [{ song: songs.map((name) => ({ name })) }] },
+    })),
+  };
+}
+
+test('compareTours rates songs by shows played, not plays', () => {
+  // "Encore Jam" is played twice at the first of four shows
+  const fromTally = getSongTally([tourPage([['Hit', 'Encore Jam', 'Encore Jam'], ['Hit'], ['Hit'], ['Hit']])]);
+  const toTally = getSongTally([tourPage([['Hit'], ['Hit'], ['Hit'], ['Hit']])]);
+  const { dropped } = compareTours(fromTally, toTally);
+  const jam = dropped.find((entry) => entry.song === 'Encore Jam');
+  assert.strictEqual(jam.fromRate, 0.25);
+});
+
+test('venue predictions rate songs by shows played, not plays', () => {
+  const allTourInfo = [tourPage([['Hit', 'Encore Jam', 'Encore Jam'], ['Hit'], ['Hit'], ['Hit']])];
+  const { songsOrdered } = getSongTally(allTourInfo);
+  const [venue] = getVenueInsights(allTourInfo, songsOrdered).venues;
+  const jam = venue.likelyNext.find((entry) => entry.song === 'Encore Jam');
+  assert.strictEqual(jam.rate, 0.25);
+});
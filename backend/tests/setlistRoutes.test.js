@@ -0,0 +1,55 @@
+// File: ./backend/tests/setlistRoutes.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const setlistRoutes = require('../routes/setlistRoutes');
+const { createMemoryCache } = require('../utils/cacheStore');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.locals.cache = createMemoryCache();
+  app.use('/setlist', setlistRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/setlist`;
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * POSTs a JSON body to a setlist route
+ */
+async function post(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const artist = { name: 'Radiohead', url: 'https://open.spotify.com/artist/x' };
+
+test('search routes reject an exclude that is not a list', async () => {
+  for (const path of ['/', '/search_with_updates', '/search_tour_with_updates']) {
+    const { status, body } = await post(path, {
+      artist, clientId: '1', tourName: 'Tour', exclude: 'acoustic',
+    });
+    assert.strictEqual(status, 400, path);
+    assert.match(body.error, /exclude must be a list/);
+  }
+});
+
+test('search routes reject unknown exclude variants', async () => {
+  const { status, body } = await post('/predict_show_with_updates', {
+    artist, clientId: '1', show: { date: '2030-01-01' }, exclude: ['acoustic', 'karaoke'],
+  });
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /Unknown song variant "karaoke"/);
+});
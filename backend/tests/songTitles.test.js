@@ -0,0 +1,40 @@
+// File: ./backend/tests/songTitles.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeSongTitle, cleanSongTitle, getSongTitleNotes } = require('../utils/songTitles');
+const { getSongTally } = require('../utils/setlistFormatData');
+
+test('performance notes are stripped from titles', () => {
+  assert.strictEqual(normalizeSongTitle("Don't Look Back in Anger (acoustic)"), 'dont look back in anger');
+  assert.strictEqual(normalizeSongTitle('Dont Look Back In Anger'), 'dont look back in anger');
+  assert.strictEqual(cleanSongTitle('Wonderwall [live] (snippet)'), 'Wonderwall');
+  assert.strictEqual(getSongTitleNotes('Wonderwall [live] (snippet)'), 'live; snippet');
+});
+
+test('reprises, intros and parts stay separate songs', () => {
+  const main = "Sgt. Pepper's Lonely Hearts Club Band";
+  assert.notStrictEqual(normalizeSongTitle(`${main} (Reprise)`), normalizeSongTitle(main));
+  assert.notStrictEqual(normalizeSongTitle('Song (Intro)'), normalizeSongTitle('Song'));
+  assert.notStrictEqual(normalizeSongTitle('Song (Part 1)'), normalizeSongTitle('Song (Part 2)'));
+  assert.strictEqual(cleanSongTitle('Weezer (Blue Album)'), 'Weezer (Blue Album)');
+});
+
+test('punctuation-only titles keep their own key', () => {
+  assert.strictEqual(normalizeSongTitle('?'), '?');
+  assert.notStrictEqual(normalizeSongTitle('?'), normalizeSongTitle('!!!'));
+});
+
+test('a song and its reprise in one show are tallied once each', () => {
+  const main = "Sgt. Pepper's Lonely Hearts Club Band";
+  const setlist = (id, eventDate) => ({
+    id,
+    eventDate,
+    artist: { name: 'The Beatles' },
+    venue: { name: 'Venue', city: { name: 'City', country: { code: 'GB' } } },
+    sets: { set: [{ song: [{ name: main }, { name: 'With a Little Help from My Friends' }, { name: `${main} (Reprise)` }] }] },
+  });
+  const { songsOrdered } = getSongTally([{ total: 2, setlist: [setlist('a', '01-06-1967'), setlist('b', '02-06-1967')] }]);
+  const counts = Object.fromEntries(songsOrdered.map((song) => [song.song, song.count]));
+  assert.strictEqual(counts[main], 2);
+  assert.strictEqual(counts[`${main} (Reprise)`], 2);
+});
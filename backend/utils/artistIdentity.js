@@ -0,0 +1,145 @@
+/**
+ * Artist Identity Service
+ * Resolves a Spotify or Deezer artist to its MusicBrainz ID and canonical name
+ * once, and caches the result so every route shares it
+ * - MusicBrainz errors are not cached and are passed on to the caller
+ * - Identities without a MusicBrainz match expire sooner, in case MusicBrainz
+ *   catches up
+ * - The setlist.fm slug costs an extra setlist.fm request, so it is only looked
+ *   up when a caller needs it (resolveArtistSlug) and then kept in the cached
+ *   identity
+ */
+
+const devLogger = require('./devLogger');
+const { fetchMBIdFromSpotifyId } = require('./musicBrainzAPIRequests');
+const { isArtistNameMatch } = require('./musicBrainzChecks');
+const { getSetlistSlug } = require('./setlistSlugExtractor');
+
+const CACHE_PREFIX = 'artistidentity:';
+const CACHE_VERSION = 'v2'; // bump when the cached identity format changes
+const RESOLVED_TTL = 30 * 24 * 60 * 60; // 30 days once MusicBrainz knows the artist
+const UNRESOLVED_TTL = 24 * 60 * 60; // 1 day when the MBID is missing
+
+/**
+ * @typedef {Object} ArtistIdentity
+ * @property {string} source - Where the artist was picked from ("spotify", "deezer" or "unknown")
+ * @property {string} url - Spotify/Deezer artist URL the identity was resolved from
+ * @property {string|null} mbid - MusicBrainz ID linked to that URL (null if none)
+ * @property {string|null} mbName - Artist name on MusicBrainz
+ * @property {boolean} matched - Whether the MusicBrainz name matches the searched name,
+ *   i.e. whether setlist.fm can be queried by MBID
+ * @property {string} name - Canonical name: the MusicBrainz name when matched, else the searched name
+ * @property {string} [slug] - setlist.fm artist slug (e.g. "the-beatles-23d6a88b"), once
+ *   resolveArtistSlug has looked it up
+ */
+
+/**
+ * Works out which service an artist URL belongs to
+ * @param {string} url - Artist URL
+ * @returns {string} "spotify", "deezer" or "unknown"
+ */
+function getArtistSource(url) {
+  if (url?.includes('spotify.com')) return 'spotify';
+  if (url?.includes('deezer.com')) return 'deezer';
+  return 'unknown';
+}
+
+/**
+ * Generate a cache key for an artist URL
+ * @param {string} url - Spotify/Deezer artist URL
+ * @returns {string} Cache key
+ */
+function generateIdentityKey(url) {
+  return `${CACHE_PREFIX}${CACHE_VERSION}:${url}`;
+}
+
+/**
+ * Resolves an artist's identity, using the cache when available
+ * @param {Object} artist - Artist information ({ name, url })
+ * @param {Object} [cache] - Cache store
+ * @returns {Promise<ArtistIdentity>} The artist's identity
+ */
+async function resolveArtistIdentity(artist, cache = null) {
+  // Without a URL there is nothing stable to cache the identity under
+  const identityCache = artist.url ? cache : null;
+  const cacheKey = generateIdentityKey(artist.url);
+  if (identityCache) {
+    try {
+      const cachedData = await identityCache.get(cacheKey);
+      if (cachedData) {
+        const identity = JSON.parse(cachedData);
+        // Cached by URL, so re-check against the name this request searched
+        const matched = isArtistNameMatch(artist.name, identity.mbName);
+        return { ...identity, matched, name: matched ? identity.mbName : artist.name };
+      }
+    } catch (error) {
+      console.error('Error retrieving cached artist identity:', error);
+    }
+  }
+
+  const mbInfo = await fetchMBIdFromSpotifyId(artist.url);
+  const mbArtist = mbInfo?.urls?.[0]?.["relation-list"]?.[0]?.relations?.[0]?.artist;
+  const mbName = mbArtist?.name || null;
+  const mbid = mbArtist?.id || null;
+  const matched = isArtistNameMatch(artist.name, mbName);
+
+  /** @type {ArtistIdentity} */
+  const identity = {
+    source: getArtistSource(artist.url),
+    url: artist.url,
+    mbid,
+    mbName,
+    matched,
+    name: matched ? mbName : artist.name,
+  };
+
+  devLogger.log('musicbrainz', `Artist identity resolved`, identity);
+
+  if (identityCache) {
+    try {
+      const ttl = mbid ? RESOLVED_TTL : UNRESOLVED_TTL;
+      await identityCache.setEx(cacheKey, ttl, JSON.stringify(identity));
+    } catch (error) {
+      console.error('Error caching artist identity:', error);
+    }
+  }
+  return identity;
+}
+
+/**
+ * Gets an artist's setlist.fm slug, looking it up the first time it's needed
+ * - Only slugs found by MBID are saved into the cached identity (for the rest
+ *   of its TTL); a name search depends on the name each request searched
+ * @param {Object} artist - Artist information ({ name, url })
+ * @param {ArtistIdentity} identity - Identity from resolveArtistIdentity
+ * @param {Object} [cache] - Cache store
+ * @returns {Promise<string|null>} setlist.fm slug, or null if not found
+ */
+async function resolveArtistSlug(artist, identity, cache = null) {
+  if (identity.slug) {
+    return identity.slug;
+  }
+
+  const byMbid = identity.matched && identity.mbid;
+  const slug = await getSetlistSlug(artist, byMbid ? identity.mbid : null);
+
+  if (slug && byMbid && artist.url && cache) {
+    try {
+      const cacheKey = generateIdentityKey(artist.url);
+      const [cachedData, ttl] = await Promise.all([cache.get(cacheKey), cache.ttl(cacheKey)]);
+      if (cachedData && ttl > 0) {
+        await cache.setEx(cacheKey, ttl, JSON.stringify({ ...JSON.parse(cachedData), slug }));
+      }
+    } catch (error) {
+      console.error('Error caching setlist.fm slug:', error);
+    }
+  }
+  return slug;
+}
+
+module.exports = {
+  resolveArtistIdentity,
+  resolveArtistSlug,
+  RESOLVED_TTL,
+  UNRESOLVED_TTL
+};
@@ -0,0 +1,155 @@
+/**
+ * Cache Store
+ * One small key/value interface for the app's caches (tours, song history, setlist
+ * pages, Spotify matches, artist identities), backed by Redis or an in-process LRU
+ * - The interface is the subset of the node-redis v4 client the caches use
+ *   (get, mGet, setEx, del, ttl), so a Redis client can stand in for a store
+ * - "auto" uses Redis while it's connected and falls back to the LRU when it isn't,
+ *   so searches keep working (uncached across restarts) through Redis outages
+ * - Values are strings, like in Redis; callers JSON.stringify/parse themselves
+ */
+
+const DEFAULT_MAX_ENTRIES = 5000; // in-process entries before the least recently used are evicted
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024; // ~64 MB of keys and values, whichever limit is hit first
+const CACHE_BACKENDS = ['auto', 'redis', 'memory'];
+
+/**
+ * Approximate memory used by a cached key/value pair (JS strings are UTF-16)
+ */
+function getEntrySize(key, value) {
+  return (key.length + value.length) * 2;
+}
+
+/**
+ * Creates an in-process LRU cache store
+ * - Expired entries are dropped when read
+ * - Bounded by entry count and by approximate size, since entries range from
+ *   one Spotify match to an artist's whole song history; values larger than
+ *   the size limit are not stored
+ * @param {Object} [options] - { maxEntries, maxBytes }
+ * @returns {Object} Cache store
+ */
+function createMemoryCache({ maxEntries = DEFAULT_MAX_ENTRIES, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  const entries = new Map(); // Map keeps insertion order, so the first key is the least recently used
+  let totalBytes = 0;
+
+  const deleteEntry = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    totalBytes -= entry.size;
+    return entries.delete(key);
+  };
+
+  const getEntry = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      deleteEntry(key);
+      return null;
+    }
+    // Re-insert to mark as most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  };
+
+  return {
+    backend: 'memory',
+    async get(key) {
+      return getEntry(key)?.value ?? null;
+    },
+    async mGet(keys) {
+      return keys.map((key) => getEntry(key)?.value ?? null);
+    },
+    async setEx(key, ttl, value) {
+      deleteEntry(key);
+      const stringValue = String(value);
+      const size = getEntrySize(key, stringValue);
+      if (size > maxBytes) {
+        return 'OK';
+      }
+      entries.set(key, { value: stringValue, size, expiresAt: Date.now() + ttl * 1000 });
+      totalBytes += size;
+      while (entries.size > maxEntries || totalBytes > maxBytes) {
+        deleteEntry(entries.keys().next().value);
+      }
+      return 'OK';
+    },
+    async del(key) {
+      return deleteEntry(key) ? 1 : 0;
+    },
+    // Seconds left, or -2 if the key doesn't exist (Redis semantics)
+    async ttl(key) {
+      const entry = getEntry(key);
+      return entry ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : -2;
+    },
+  };
+}
+
+/**
+ * Creates a cache store that uses Redis while it's connected and an LRU otherwise
+ * - Redis command errors also fall back to the LRU for that call
+ * @param {Object} redisClient - node-redis v4 client
+ * @param {Object} memoryCache - Store from createMemoryCache
+ * @returns {Object} Cache store
+ */
+function createFallbackCache(redisClient, memoryCache) {
+  const run = (command) => async (...args) => {
+    if (redisClient.isReady) {
+      try {
+        return await redisClient[command](...args);
+      } catch (error) {
+        console.error(`Redis ${command} failed, using in-memory cache:`, error.message);
+      }
+    }
+    return memoryCache[command](...args);
+  };
+
+  return {
+    get backend() {
+      return redisClient.isReady ? 'redis' : 'memory';
+    },
+    get: run('get'),
+    mGet: run('mGet'),
+    setEx: run('setEx'),
+    del: run('del'),
+    ttl: run('ttl'),
+  };
+}
+
+/**
+ * Picks the cache backend from config
+ * - CACHE_BACKEND ("auto", "redis" or "memory") wins; otherwise "memory" when
+ *   REDIS_ENABLED is "false" or no REDIS_URL is set, else "auto"
+ * @param {Object} env - Environment variables (process.env)
+ * @returns {string} Cache backend name
+ */
+function getCacheBackend(env) {
+  const configured = env.CACHE_BACKEND?.toLowerCase();
+  if (CACHE_BACKENDS.includes(configured)) return configured;
+  if (env.REDIS_ENABLED === 'false' || !env.REDIS_URL) return 'memory';
+  return 'auto';
+}
+
+/**
+ * Creates the app's cache store for the chosen backend
+ * @param {Object} options - { backend, redisClient, maxEntries, maxBytes }
+ * @returns {Object} Cache store
+ */
+function createCacheStore({ backend = 'auto', redisClient = null, maxEntries, maxBytes } = {}) {
+  if (backend === 'redis' && redisClient) {
+    return redisClient;
+  }
+  const memoryCache = createMemoryCache({ maxEntries, maxBytes });
+  if (backend === 'memory' || !redisClient) {
+    return memoryCache;
+  }
+  return createFallbackCache(redisClient, memoryCache);
+}
+
+module.exports = {
+  createCacheStore,
+  createMemoryCache,
+  getCacheBackend,
+  CACHE_BACKENDS
+};
@@ -0,0 +1,80 @@
+/**
+ * ISO 3166-1 alpha-2 country codes by continent
+ * - Setlist.fm gives each venue's country code, but not its continent
+ * - Transcontinental countries are listed where most of their venues are
+ *   (Russia and Turkey under Europe, Egypt under Africa)
+ */
+const CONTINENT_COUNTRIES = {
+  AF: [
+    "DZ", "AO", "BJ", "BW", "BF", "BI", "CV", "CM", "CF", "TD", "KM", "CG", "CD", "CI", "DJ",
+    "EG", "GQ", "ER", "SZ", "ET", "GA", "GM", "GH", "GN", "GW", "KE", "LS", "LR", "LY", "MG",
+    "MW", "ML", "MR", "MU", "YT", "MA", "MZ", "NA", "NE", "NG", "RE", "RW", "SH", "ST", "SN",
+    "SC", "SL", "SO", "ZA", "SS", "SD", "TZ", "TG", "TN", "UG", "EH", "ZM", "ZW",
+  ],
+  AS: [
+    "AF", "AM", "AZ", "BH", "BD", "BT", "BN", "KH", "CN", "GE", "HK", "IN", "ID", "IR", "IQ",
+    "IL", "JP", "JO", "KZ", "KW", "KG", "LA", "LB", "MO", "MY", "MV", "MN", "MM", "NP", "KP",
+    "OM", "PK", "PS", "PH", "QA", "SA", "SG", "KR", "LK", "SY", "TW", "TJ", "TH", "TL", "TM",
+    "AE", "UZ", "VN", "YE",
+  ],
+  EU: [
+    "AL", "AD", "AT", "BY", "BE", "BA", "BG", "HR", "CY", "CZ", "DK", "EE", "FO", "FI", "FR",
+    "DE", "GI", "GR", "GG", "HU", "IS", "IE", "IM", "IT", "JE", "XK", "LV", "LI", "LT", "LU",
+    "MT", "MD", "MC", "ME", "NL", "MK", "NO", "PL", "PT", "RO", "RU", "SM", "RS", "SK", "SI",
+    "ES", "SE", "CH", "TR", "UA", "GB", "VA",
+  ],
+  NA: [
+    "AI", "AG", "AW", "BS", "BB", "BZ", "BM", "BQ", "CA", "KY", "CR", "CU", "CW", "DM", "DO",
+    "SV", "GL", "GD", "GP", "GT", "HT", "HN", "JM", "MQ", "MX", "MS", "NI", "PA", "PR", "BL",
+    "KN", "LC", "MF", "PM", "VC", "SX", "TT", "TC", "US", "VG", "VI",
+  ],
+  SA: ["AR", "BO", "BR", "CL", "CO", "EC", "FK", "GF", "GY", "PY", "PE", "SR", "UY", "VE"],
+  OC: [
+    "AS", "AU", "CK", "FJ", "PF", "GU", "KI", "MH", "FM", "NR", "NC", "NZ", "NU", "NF", "MP",
+    "PW", "PG", "PN", "WS", "SB", "TK", "TO", "TV", "VU", "WF",
+  ],
+  AN: ["AQ"],
+};
+
+// Names accepted in place of the two-letter continent codes
+const CONTINENT_NAMES = {
+  africa: "AF",
+  asia: "AS",
+  europe: "EU",
+  "north america": "NA",
+  "south america": "SA",
+  oceania: "OC",
+  australia: "OC",
+  antarctica: "AN",
+};
+
+const continentByCountry = new Map(
+  Object.entries(CONTINENT_COUNTRIES).flatMap(([continent, countries]) =>
+    countries.map((country) => [country, continent])
+  )
+);
+
+/**
+ * Resolves a continent name or code ("Europe", "north-america", "NA") to its code
+ *
+ * @param {string} continent Continent name or two-letter code
+ * @returns {string|null} Continent code, or null if unknown
+ */
+function getContinentCode(continent) {
+  if (typeof continent !== "string") return null;
+  const upper = continent.trim().toUpperCase();
+  if (CONTINENT_COUNTRIES[upper]) return upper;
+  return CONTINENT_NAMES[continent.trim().toLowerCase().replace(/[-_]/g, " ")] || null;
+}
+
+/**
+ * Looks up the continent a country belongs to
+ *
+ * @param {string} countryCode ISO 3166-1 alpha-2 country code
+ * @returns {string|null} Continent code, or null if unknown
+ */
+function getContinentForCountry(countryCode) {
+  return continentByCountry.get((countryCode || "").toUpperCase()) || null;
+}
+
+module.exports = { getContinentCode, getContinentForCountry, CONTINENT_COUNTRIES };
@@ -0,0 +1,89 @@
+/**
+ * Curated festival names and the venues that host them
+ * - Setlist.fm usually names the festival as the venue, but some shows are
+ *   filed under the grounds instead (e.g. "Worthy Farm" for Glastonbury)
+ * - Matching is case and accent insensitive, on whole words
+ * - Names that are also common city or venue words (Reading, Leeds, Download)
+ *   are left out; the "festival" keyword usually catches those
+ */
+const KNOWN_FESTIVALS = [
+  "Glastonbury",
+  "Worthy Farm",
+  "Coachella",
+  "Empire Polo Club",
+  "Lollapalooza",
+  "Bonnaroo",
+  "Great Stage Park",
+  "Primavera Sound",
+  "Parc del Fòrum",
+  "Roskilde",
+  "Rock Werchter",
+  "Rock am Ring",
+  "Rock im Park",
+  "Pukkelpop",
+  "Sziget",
+  "Fuji Rock",
+  "Summer Sonic",
+  "Austin City Limits",
+  "Outside Lands",
+  "Governors Ball",
+  "Rock in Rio",
+  "Hellfest",
+  "Wacken",
+  "Mad Cool",
+  "NOS Alive",
+  "Electric Picnic",
+  "Isle of Wight",
+  "TRNSMT",
+  "Splendour in the Grass",
+  "Osheaga",
+  "Lowlands",
+  "Øya",
+  "Open'er",
+  "Best Kept Secret",
+  "Way Out West",
+  "Bumbershoot",
+  "BottleRock",
+  "Boston Calling",
+];
+
+// Venue or tour names that give a festival away on their own
+const FESTIVAL_NAME_PATTERN = /\b(festival|fest|open air|openair|jamboree|fiesta)\b/;
+
+/**
+ * Lowercases a name and strips diacritics and punctuation for matching
+ *
+ * @param {string} name Venue, festival or tour name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return (name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const knownFestivals = KNOWN_FESTIVALS.map(normalizeName);
+
+/**
+ * Checks a venue or tour name against the curated list and festival keywords
+ *
+ * @param {string} name Venue or tour name
+ * @returns {string|null} What matched ("Coachella", "festival"), or null
+ */
+function getFestivalMatch(name) {
+  const normalized = normalizeName(name);
+  if (!normalized) return null;
+  const padded = ` ${normalized} `;
+  const known = knownFestivals.findIndex((festival) => padded.includes(` ${festival} `));
+  if (known !== -1) {
+    return KNOWN_FESTIVALS[known];
+  }
+  const keyword = normalized.match(FESTIVAL_NAME_PATTERN);
+  return keyword ? keyword[1] : null;
+}
+
+module.exports = { getFestivalMatch, KNOWN_FESTIVALS };
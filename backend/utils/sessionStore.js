@@ -0,0 +1,71 @@
+/**
+ * Session Store
+ * Picks the express-session store for the cache backend (see cacheStore.js)
+ * - "redis": RedisStore
+ * - "memory" or no Redis client: express-session's MemoryStore
+ * - "auto": RedisStore while Redis is ready, MemoryStore while it isn't, so
+ *   logins and consent keep working through Redis outages (sessions started
+ *   during an outage end when Redis comes back)
+ */
+
+const session = require('express-session');
+const { RedisStore } = require('connect-redis');
+
+/**
+ * Session store that sends each call to Redis or memory depending on
+ * whether the Redis client is ready at the time
+ */
+class FallbackSessionStore extends session.Store {
+  /**
+   * @param {Object} redisClient - node-redis v4 client
+   */
+  constructor(redisClient) {
+    super();
+    this.redisClient = redisClient;
+    this.redisStore = new RedisStore({ client: redisClient });
+    this.memoryStore = new session.MemoryStore();
+  }
+
+  /**
+   * Store to use for the current call
+   * @returns {Object} RedisStore or MemoryStore
+   */
+  currentStore() {
+    return this.redisClient.isReady ? this.redisStore : this.memoryStore;
+  }
+
+  get(sid, callback) {
+    this.currentStore().get(sid, callback);
+  }
+
+  set(sid, sess, callback) {
+    this.currentStore().set(sid, sess, callback);
+  }
+
+  touch(sid, sess, callback) {
+    this.currentStore().touch(sid, sess, callback);
+  }
+
+  destroy(sid, callback) {
+    this.currentStore().destroy(sid, callback);
+  }
+}
+
+/**
+ * Creates the session store for the chosen cache backend
+ * @param {Object} options - { backend, redisClient }
+ * @returns {Object|undefined} Session store (undefined = express-session's MemoryStore)
+ */
+function createSessionStore({ backend = 'auto', redisClient = null } = {}) {
+  if (!redisClient || backend === 'memory') {
+    return undefined;
+  }
+  if (backend === 'redis') {
+    return new RedisStore({ client: redisClient });
+  }
+  return new FallbackSessionStore(redisClient);
+}
+
+module.exports = {
+  createSessionStore
+};
@@ -1,14 +1,8 @@
 const axios = require("axios");
-const Bottleneck = require("bottleneck");
 const logger = require('../utils/logger');
 const { axiosGetWithRetry } = require('./httpRetry');
-const limiter = new Bottleneck({
-  minTime: 63,                      // 16 requests per second (62.5ms rounded up)
-  maxConcurrent: 5,                 // Stay under the 8 concurrent limit
-  reservoir: 16,                    // Allow 16 requests per interval
-  reservoirRefreshInterval: 1000,   // Refill every 1 second
-  reservoirRefreshAmount: 16        // Refill to 16 requests
-});
+const { getCachedSetlistPage, cacheSetlistPage } = require('./setlistPageCache');
+const limiter = require('./setlistLimiter');
 
 /**
  * Introduces a delay between API calls
@@ -176,54 +170,80 @@ const getTourName = async (listID) => {
 };
 
 /**
- * Gets all songs played during a tour
- * - Fetches all pages of results
- * - Handles rate limiting and retries
+ * Fetches one page of a tour's setlists, using the page cache when available
+ * - Older pages are only reused while their result total matches page 1's,
+ *   since each new show shifts every later page by one
  * 
- * @param {string} artistName Artist name
- * @param {string} tourName Tour name
- * @returns {Array} All tour setlist data
+ * @param {Object} search { artistName, mbid, tourName, cache }
+ * @param {number} page Page number (1-based)
+ * @param {number} [expectedTotal] Result total reported by page 1
+ * @returns {Object} { data, cached }
  * @async
  */
-const getAllTourSongs = async (artistName, tourName) => {
-  logger.info('Starting to fetch all tour songs', { artistName, tourName });
+const getTourPage = async (search, page, expectedTotal = null) => {
+  const { artistName, mbid, tourName, cache } = search;
+  if (cache) {
+    const cached = await getCachedSetlistPage(cache, artistName, mbid, tourName, page);
+    if (cached && (expectedTotal === null || cached.total === expectedTotal)) {
+      logger.debug('Setlist page cache hit', { artistName, tourName, page });
+      return { data: cached, cached: true };
+    }
+  }
+
+  logger.debug('Scheduling page request', { page });
+  const response = await limiter.schedule(() => {
+    const artistParam = mbid ? `artistMbid=${mbid}` : `artistName=${artistName}`;
+    const url = `https://api.setlist.fm/rest/1.0/search/setlists?${artistParam}&p=${page}&tourName=${tourName}`;
+    return axiosGetWithRetry(url, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": process.env.SETLIST_API_KEY,
+      },
+    });
+  });
+  if (cache) {
+    await cacheSetlistPage(cache, artistName, mbid, tourName, page, response.data);
+  }
+  return { data: response.data, cached: false };
+};
+
+/**
+ * Fetches every page of a tour's setlists
+ * - Returns an error object ({ statusCode, message }) instead of throwing
+ * 
+ * @param {Object} search { artistName, mbid, tourName, cache }
+ * @returns {Array|Object} All tour setlist pages, or an error object
+ * @async
+ */
+const getAllTourPages = async (search) => {
+  const { artistName, tourName } = search;
   try {
-    // Rate-limit the first page request as well.
-    const firstResponse = await limiter.schedule(() => {
-      const url = `https://api.setlist.fm/rest/1.0/search/setlists?artistName=${artistName}&p=1&tourName=${tourName}`;
-      return axiosGetWithRetry(url, {
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": process.env.SETLIST_API_KEY,
-        },
-      });
+    const firstPageResult = await getTourPage(search, 1);
+    logger.debug('Received first page of setlist data', {
+      artistName,
+      tourName,
+      cached: firstPageResult.cached,
     });
-    logger.debug('Received first page of setlist data', { artistName, tourName });
 
-    const firstPage = firstResponse.data;
+    const firstPage = firstPageResult.data;
     const totalPages = Math.ceil(firstPage.total / firstPage.itemsPerPage);
     const allData = [firstPage];
-    await delay(1000);
+    if (!firstPageResult.cached) {
+      await delay(1000);
+    }
 
     const promises = [];
     for (let i = 2; i <= totalPages; i++) {
-      logger.debug('Scheduling page request', { page: i });
-      const request = limiter.schedule(() => {
-        const url = `https://api.setlist.fm/rest/1.0/search/setlists?artistName=${artistName}&p=${i}&tourName=${tourName}`;
-        return axiosGetWithRetry(url, {
-          headers: {
-            "Content-Type": "application/json",
-            "x-api-key": process.env.SETLIST_API_KEY,
-          },
-        });
-      });
-      promises.push(request);
+      promises.push(getTourPage(search, i, firstPage.total));
     }
 
-    const additionalResponses = await Promise.all(promises);
-    additionalResponses.forEach((resp, index) => {
-      logger.debug('Received additional page of setlist data', { page: index + 2 });
-      allData.push(resp.data);
+    const additionalResults = await Promise.all(promises);
+    additionalResults.forEach((result, index) => {
+      logger.debug('Received additional page of setlist data', {
+        page: index + 2,
+        cached: result.cached,
+      });
+      allData.push(result.data);
     });
 
     return allData;
@@ -242,6 +262,23 @@ const getAllTourSongs = async (artistName, tourName) => {
   }
 };
 
+/**
+ * Gets all songs played during a tour
+ * - Fetches all pages of results
+ * - Handles rate limiting and retries
+ * - Pages are cached when a cache store is given
+ * 
+ * @param {string} artistName Artist name
+ * @param {string} tourName Tour name
+ * @param {Object} [cache] Cache store for the page cache
+ * @returns {Array} All tour setlist data
+ * @async
+ */
+const getAllTourSongs = async (artistName, tourName, cache = null) => {
+  logger.info('Starting to fetch all tour songs', { artistName, tourName });
+  return getAllTourPages({ artistName, mbid: null, tourName, cache });
+};
+
 /**
  * Gets all songs played during a tour using MusicBrainz ID
  * - Similar to getAllTourSongs but uses MBID for more precise matching
@@ -249,14 +286,30 @@ const getAllTourSongs = async (artistName, tourName) => {
  * @param {string} artistName Artist name
  * @param {string} mbid MusicBrainz ID
  * @param {string} tourName Tour name
+ * @param {Object} [cache] Cache store for the page cache
  * @returns {Array} All tour setlist data
  * @async
  */
-const getAllTourSongsByMBID = async (artistName, mbid, tourName) => {
+const getAllTourSongsByMBID = async (artistName, mbid, tourName, cache = null) => {
   logger.info('Starting to fetch all tour songs by MBID', { artistName, tourName });
+  return getAllTourPages({ artistName, mbid, tourName, cache });
+};
+
+/**
+ * Gets every setlist played at a venue on a given date
+ * - Used to find support acts and co-headliners on a tour
+ * - Setlist.fm answers 404 when nothing matches, which is returned as []
+ * 
+ * @param {string} venueId Setlist.fm venue ID
+ * @param {string} eventDate Show date (dd-MM-yyyy)
+ * @returns {Array} Setlists at that venue on that date, any artist
+ * @async
+ */
+const getSetlistsByVenueAndDate = async (venueId, eventDate) => {
+  logger.info('Requesting setlists by venue and date', { venueId, eventDate });
   try {
-    const firstResponse = await limiter.schedule(() => {
-      const url = `https://api.setlist.fm/rest/1.0/search/setlists?artistMbid=${mbid}&p=1&tourName=${tourName}`;
+    const response = await limiter.schedule(() => {
+      const url = `https://api.setlist.fm/rest/1.0/search/setlists?venueId=${encodeURIComponent(venueId)}&date=${encodeURIComponent(eventDate)}&p=1`;
       return axiosGetWithRetry(url, {
         headers: {
           "Content-Type": "application/json",
@@ -264,47 +317,12 @@ const getAllTourSongsByMBID = async (artistName, mbid, tourName) => {
         },
       });
     });
-    logger.debug('Received first page of setlist data', { artistName, tourName });
-
-    const firstPage = firstResponse.data;
-    const totalPages = Math.ceil(firstPage.total / firstPage.itemsPerPage);
-    const allData = [firstPage];
-    await delay(1000);
-
-    const promises = [];
-    for (let i = 2; i <= totalPages; i++) {
-      logger.debug('Scheduling page request', { page: i });
-      const request = limiter.schedule(() => {
-        const url = `https://api.setlist.fm/rest/1.0/search/setlists?artistMbid=${mbid}&p=${i}&tourName=${tourName}`;
-        return axiosGetWithRetry(url, {
-          headers: {
-            "Content-Type": "application/json",
-            "x-api-key": process.env.SETLIST_API_KEY,
-          },
-        });
-      });
-      promises.push(request);
-    }
-
-    const additionalResponses = await Promise.all(promises);
-    additionalResponses.forEach((resp, index) => {
-      logger.debug('Received additional page of setlist data', { page: index + 2 });
-      allData.push(resp.data);
-    });
-
-    return allData;
+    return response.data.setlist || [];
   } catch (error) {
-    logger.error('Error fetching tour songs', {
-      artistName,
-      tourName,
-      error: error.message,
-      statusCode: error.response?.status || 500,
-      statusText: error.response?.statusText || 'Internal Server Error',
-    });
-    return {
-      statusCode: error.response?.status || 500,
-      message: error.response?.statusText || 'Internal Server Error',
-    };
+    if (error.response?.status === 404) {
+      return [];
+    }
+    throw error;
   }
 };
 
@@ -314,5 +332,6 @@ module.exports = {
   getTourName,
   getAllTourSongs,
   getAllTourSongsByMBID,
+  getSetlistsByVenueAndDate,
   delay
 };
@@ -2,10 +2,577 @@ const { all } = require("axios");
 const { getTourName } = require("./setlistAPIRequests");
 const { isArtistNameMatch } = require("./musicBrainzChecks");
 const devLogger = require('./devLogger');
+const { resolveSongTitle, getSongTitleNotes } = require('./songTitles');
+const { getContinentCode, getContinentForCountry } = require('./countryContinents');
+const { getFestivalMatch } = require('./festivals');
+
+// Song variants that can be left out of the likelihood numbers
+const SONG_VARIANTS = ['acoustic', 'alternate', 'guest', 'medley'];
+// Info keywords that mark a reworked version of a song
+const ALTERNATE_VERSION_PATTERN = /\b(piano|stripped|unplugged|electric|extended|reprise|remix|a cappella|orchestral|slow|solo)\b/;
+// "with "Other Song" snippet" - another song teased inside this one
+const TEASED_SNIPPET_PATTERN = /["\u201C]([^"\u201D]+)["\u201D]\s*(?:snippet|tease)/gi;
+
+/**
+ * Parses the performance details setlist.fm keeps on a song entry
+ * - `info` free text: "acoustic", "with X", "snippet", "medley", "->" segues
+ * - `with`: guest artist who joined for the song
+ * - Trailing title notes like "Song (acoustic)" are read the same way as `info`
+ *
+ * @param {Object} setSong Song entry from a Setlist.fm set
+ * @returns {Object} Attributes ({ acoustic, alternateVersion, guest, isSnippet,
+ *   teasedSnippets, medley, segue })
+ */
+function parseSongInfo(setSong) {
+  const info = [setSong.info, getSongTitleNotes(setSong.name)].filter(Boolean).join("; ").trim();
+  const lowerInfo = info.toLowerCase();
+  const teasedSnippets = [...info.matchAll(TEASED_SNIPPET_PATTERN)].map((match) => match[1].trim());
+  const versionMatch = lowerInfo.match(ALTERNATE_VERSION_PATTERN);
+
+  // "with X" in the info is a guest unless it describes a snippet or the arrangement
+  let guest = setSong.with?.name || null;
+  if (!guest && teasedSnippets.length === 0) {
+    const withMatch = info.match(/\bwith\s+([^;,()]+)/i);
+    if (withMatch && !ALTERNATE_VERSION_PATTERN.test(withMatch[1].toLowerCase())) {
+      guest = withMatch[1].trim();
+    }
+  }
+
+  return {
+    acoustic: /\bacoustic\b/.test(lowerInfo),
+    alternateVersion: versionMatch ? versionMatch[1] : null,
+    guest,
+    // Only part of this song was played (teasing another song doesn't count)
+    isSnippet: teasedSnippets.length === 0 && /\b(snippet|partial|tease)\b/.test(lowerInfo),
+    teasedSnippets,
+    medley: /\bmedley\b/.test(lowerInfo),
+    segue: /(->|\bsegue\b)/.test(lowerInfo),
+  };
+}
+
+/**
+ * Flattens a single setlist into its running order
+ * - Skips "tape" songs (intros/outros played before or after the show)
+ * - Resolves covers to the original artist so keys match across helpers
+ * - Normalizes titles so spelling variants and aliases share one key
+ * - Skips snippets unless asked for, since they aren't full performances
+ *
+ * @param {Object} setlist Single setlist from Setlist.fm
+ * @param {string} mainArtist Name of the artist whose tour this is
+ * @param {Object} [options] Flattening options
+ * @param {boolean} [options.includeSnippets] Keep songs that were only partially played
+ * @returns {Array} Songs in played order ({ key, song, rawSong, artist, isEncore, info, setSong })
+ */
+function getShowSongs(setlist, mainArtist, options = {}) {
+  const showSongs = [];
+  (setlist.sets?.set || []).forEach((setSection) => {
+    (setSection.song || []).forEach((song) => {
+      // skips "Tape" songs (songs that are played before the show starts)
+      if (song.hasOwnProperty("tape") && song.tape === true) {
+        return;
+      }
+      const info = parseSongInfo(song);
+      if (info.isSnippet && !options.includeSnippets) {
+        return;
+      }
+      // parse whether song is a cover or not, change artist info accordingly
+      const artist = song.hasOwnProperty("cover") ? song.cover.name : mainArtist;
+      const { key, title } = resolveSongTitle(artist, song.name);
+      showSongs.push({
+        // formatted as "artist|normalized song" to match w/ its count
+        key,
+        song: title,
+        rawSong: song.name,
+        artist,
+        // setlist.fm marks encore sections with an "encore" number (1, 2, ...)
+        isEncore: !!setSection.encore,
+        info,
+        setSong: song,
+      });
+    });
+  });
+  return showSongs;
+}
+
+/**
+ * Parses a filter date given as YYYY-MM-DD or Setlist.fm's dd-mm-yyyy
+ *
+ * @param {string} value Date string
+ * @returns {number|null} UTC timestamp, or null if unparseable
+ */
+function parseFilterDate(value) {
+  if (typeof value !== "string") return null;
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    return Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+  }
+  return /^\d{2}-\d{2}-\d{4}$/.test(value) ? parseEventDate(value) : null;
+}
+
+/**
+ * Lowercases a place name and strips diacritics so "Koln" matches "Köln"
+ *
+ * @param {string} name Place name
+ * @returns {string} Normalized name
+ */
+function normalizePlaceName(name) {
+  return (name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+// "Start: 20:30", "Show started at 9:15 pm", "Set time 21:00", "On stage at 9pm"
+const START_TIME_PATTERN = /\b(?:start(?:s|ed|ing)?(?:\s+time)?|set\s*time|on\s+stage)\s*(?:at|:|-)?\s*(\d{1,2})(?:[:.](\d{2}))?(?!\d)\s*(am|pm|a\.m\.|p\.m\.)?/i;
+
+/**
+ * Reads a show's start time from the setlist's `info` text
+ * - Only explicit start / set time notes count ("Start: 20:30", "Show started
+ *   at 9:15 pm"); other times in the text (curfews, doors) are ignored
+ * - A bare hour needs am/pm ("started at 9pm"), so "started 2 songs late" isn't a time
+ *
+ * @param {Object} setlist Single setlist from Setlist.fm
+ * @returns {number|null} Minutes after midnight, or null if no time is given
+ */
+function getStartMinutes(setlist) {
+  const match = typeof setlist.info === "string" ? setlist.info.match(START_TIME_PATTERN) : null;
+  if (!match || (match[2] === undefined && !match[3])) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] ?? 0);
+  const meridiem = match[3]?.toLowerCase().replace(/\./g, "");
+  if (meridiem && hours > 12) return null;
+  if (meridiem === "pm" && hours < 12) hours += 12;
+  if (meridiem === "am" && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Summarizes how long shows run: songs per show, the main set / encore split
+ * and, where setlists have one, the typical start time
+ *
+ * @param {Array<Object>} showStats Per-show { songs, encoreSongs, startMinutes }
+ * @returns {Object} { min, median, max, mainSet, encore, startTime, startTimeShows }
+ */
+function getShowLengthStats(showStats) {
+  const songCounts = showStats.map((show) => show.songs);
+  const startTimes = showStats.map((show) => show.startMinutes).filter((minutes) => minutes !== null);
+  const startMinutes = startTimes.length ? Math.round(median(startTimes)) : null;
+  return {
+    min: songCounts.length ? Math.min(...songCounts) : 0,
+    median: median(songCounts),
+    max: songCounts.length ? Math.max(...songCounts) : 0,
+    mainSet: median(showStats.map((show) => show.songs - show.encoreSongs)),
+    encore: median(showStats.map((show) => show.encoreSongs)),
+    // "HH:MM" (24-hour, local to the venue)
+    startTime: startMinutes === null
+      ? null
+      : `${String(Math.floor(startMinutes / 60)).padStart(2, "0")}:${String(startMinutes % 60).padStart(2, "0")}`,
+    startTimeShows: startTimes.length,
+  };
+}
+
+/**
+ * Classifies every show on a tour as a festival or headline set
+ * - Festival if the venue, tour or setlist info names a festival (curated list
+ *   or keywords like "festival" / "open air")
+ * - Otherwise festival if the set ran well short of the tour's median length
+ *   and had no encore
+ *
+ * @param {Array} allTourInfo All tour setlist data
+ * @returns {Map<string, Object>} Setlist id -> { showType, showTypeReasons }
+ */
+function classifyShows(allTourInfo) {
+  const mainArtist = allTourInfo[0]?.setlist?.[0]?.artist?.name;
+  const setlists = allTourInfo.flatMap((dataPage) => dataPage.setlist || []);
+  const lengths = new Map(
+    setlists.map((setlist) => [setlist.id, getShowSongs(setlist, mainArtist)])
+  );
+  const medianLength = median(
+    [...lengths.values()].filter((showSongs) => showSongs.length > 0).map((showSongs) => showSongs.length)
+  );
+
+  const classified = new Map();
+  setlists.forEach((setlist) => {
+    const reasons = [];
+    const venueMatch = getFestivalMatch(setlist.venue?.name);
+    if (venueMatch) reasons.push(`Venue: ${venueMatch}`);
+    const tourMatch = getFestivalMatch(setlist.tour?.name);
+    if (tourMatch) reasons.push(`Tour: ${tourMatch}`);
+    const infoMatch = getFestivalMatch(setlist.info);
+    if (infoMatch) reasons.push(`Info: ${infoMatch}`);
+
+    const showSongs = lengths.get(setlist.id);
+    if (reasons.length === 0 && showSongs.length > 0 && medianLength > 0) {
+      const hasEncore = showSongs.some((entry) => entry.isEncore);
+      if (!hasEncore && showSongs.length <= medianLength * FESTIVAL_MAX_LENGTH_RATIO) {
+        reasons.push(`Short set: ${showSongs.length} songs vs ${Math.round(medianLength)} typical, no encore`);
+      }
+    }
+    classified.set(setlist.id, {
+      showType: reasons.length > 0 ? 'festival' : 'headline',
+      showTypeReasons: reasons,
+    });
+  });
+  return classified;
+}
+
+/**
+ * Picks the display title a merged song is shown under (its most used spelling)
+ *
+ * @param {Map<string, number>} titleCounts Cleaned title -> times used
+ * @returns {string} Most used title
+ */
+function pickTitle(titleCounts) {
+  let best = null;
+  titleCounts.forEach((count, title) => {
+    if (best === null || count > titleCounts.get(best)) {
+      best = title;
+    }
+  });
+  return best;
+}
+
+/**
+ * Whether a performance is one of the variants left out of the likelihood numbers
+ *
+ * @param {Object} info Attributes from parseSongInfo
+ * @param {Set<string>} excluded Variants to leave out (see SONG_VARIANTS)
+ * @returns {boolean} True if the performance shouldn't count
+ */
+function isExcludedVariant(info, excluded) {
+  return (excluded.has('acoustic') && info.acoustic)
+    || (excluded.has('alternate') && !!info.alternateVersion)
+    || (excluded.has('guest') && !!info.guest)
+    || (excluded.has('medley') && info.medley);
+}
+
+// Recency weighting: a show's weight halves every `halfLife` shows (or days)
+const DEFAULT_RECENCY = { unit: 'shows', halfLife: 10 };
+const RECENCY_UNITS = ['shows', 'days'];
+const MAX_HALF_LIFE = 10000;
+// Trend flags need a few shows, and a gap of at least 30 points between the
+// recent play rate and the tour-wide play rate
+const TREND_MIN_SHOWS = 6;
+const TREND_THRESHOLD = 0.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Rotation slots: songs that share a slot are played together at most 10% of
+// the time, sit within 0.15 of each other's average position, and between
+// them fill the slot at least half the nights
+const ROTATION_MAX_OVERLAP = 0.1;
+const ROTATION_MAX_POSITION_GAP = 0.15;
+const ROTATION_MIN_COVERAGE = 0.5;
+// Bust-outs: songs brought back after more than 50 shows or 2 years away
+const BUSTOUT_MIN_SHOWS = 50;
+const BUSTOUT_MIN_YEARS = 2;
+// Festival sets: unnamed shows this much shorter than the tour median with no encore
+const FESTIVAL_MAX_LENGTH_RATIO = 0.7;
+const SHOW_TYPES = ['headline', 'festival'];
+// Tour comparison: likelihood changes of 20 points or more are reported, and
+// songs played at 80% of shows on both tours count as shared staples
+const COMPARE_DEFAULT_THRESHOLD = 0.2;
+const COMPARE_STAPLE_RATE = 0.8;
+// Support acts: shows cross-queried per tour, set length (vs. the headliner)
+// that makes an act a co-headliner, and likely songs returned per act
+const SUPPORT_SAMPLE_SIZE = 10;
+const CO_HEADLINER_LENGTH_RATIO = 0.7;
+const SUPPORT_TOP_SONGS = 10;
+
+// Venue insights: max days between nights of one residency run, how far below
+// the tour's night-to-night repeat rate counts as avoiding repeats, and how
+// many songs to predict for the next night
+const RESIDENCY_MAX_DAY_GAP = 3;
+const REPEAT_AVOIDANCE_MARGIN = 0.15;
+const VENUE_PREDICTION_SIZE = 5;
+
+// Show predictions: shows lose half their weight every 30 days from the target
+// date; shows nearer the target and of the same type (headline/festival) count more
+const PREDICTION_HALF_LIFE_DAYS = 30;
+const PREDICTION_PLACE_WEIGHTS = { city: 3, country: 1.5, continent: 1.2 };
+const PREDICTION_SHOW_TYPE_MISMATCH = 0.5;
+
+// Play rate confidence intervals: z-score for a 95% Wilson score interval
+const WILSON_Z = 1.96;
+
+/**
+ * Parses a Setlist.fm eventDate (dd-mm-yyyy) into a UTC timestamp
+ *
+ * @param {string} eventDate Date string from Setlist.fm
+ * @returns {number|null} Milliseconds since epoch, or null if unparseable
+ */
+function parseEventDate(eventDate) {
+  const parts = eventDate?.split("-");
+  if (!parts || parts.length !== 3) return null;
+  const [dd, mm, yyyy] = parts.map(Number);
+  const timestamp = Date.UTC(yyyy, mm - 1, dd);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Converts a Setlist.fm eventDate (dd-mm-yyyy) into a YYYYMMDD number
+ * - Same date stamps tourExtractor uses for song history
+ *
+ * @param {string} eventDate Date string from Setlist.fm
+ * @returns {number|null} Date stamp, or null if unparseable
+ */
+function getDateStamp(eventDate) {
+  const parts = eventDate?.split("-");
+  if (!parts || parts.length !== 3) return null;
+  const [dd, mm, yyyy] = parts;
+  const stamp = parseInt(`${yyyy}${mm}${dd}`, 10);
+  return Number.isNaN(stamp) ? null : stamp;
+}
+
+/**
+ * Converts a YYYYMMDD date stamp back into a Setlist.fm eventDate (dd-mm-yyyy)
+ *
+ * @param {number} stamp Date stamp
+ * @returns {string} Date string
+ */
+function stampToEventDate(stamp) {
+  const text = String(stamp);
+  return `${text.slice(6, 8)}-${text.slice(4, 6)}-${text.slice(0, 4)}`;
+}
+
+/**
+ * Sort comparator putting shows in chronological order (undated shows first)
+ *
+ * @param {Object} a Show with a `date` timestamp
+ * @param {Object} b Show with a `date` timestamp
+ * @returns {number} Sort order
+ */
+function compareShowsByDate(a, b) {
+  return (a.date ?? -Infinity) - (b.date ?? -Infinity);
+}
+
+/**
+ * Extracts the per-show details kept alongside song data
+ *
+ * @param {Object} setlist Single setlist from Setlist.fm
+ * @returns {Object} Show details (id, date, venue, city, country)
+ */
+function getShowDetails(setlist) {
+  return {
+    id: setlist.id,
+    eventDate: setlist.eventDate || null,
+    venueId: setlist.venue?.id || null,
+    venue: setlist.venue?.name || null,
+    city: setlist.venue?.city?.name || null,
+    country: setlist.venue?.city?.country?.name || null,
+    countryCode: setlist.venue?.city?.country?.code || null,
+    url: setlist.url || null,
+  };
+}
+
+/**
+ * Returns the median of a list of numbers (0 for an empty list)
+ *
+ * @param {Array<number>} values Numbers to take the median of
+ * @returns {number} Median value
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+/**
+ * Wilson score interval for a play rate
+ * - Stays inside 0-1 and widens sensibly for small samples, unlike the
+ *   normal approximation (3 of 4 shows gives roughly 30%-95%)
+ *
+ * @param {number} successes Shows the song was played at
+ * @param {number} trials Shows with setlist data
+ * @returns {Object|null} { low, high } rounded to 2 decimals, or null without data
+ */
+function wilsonInterval(successes, trials) {
+  if (!trials) return null;
+  const rate = Math.min(successes, trials) / trials;
+  const z2 = WILSON_Z * WILSON_Z;
+  const denominator = 1 + z2 / trials;
+  const center = (rate + z2 / (2 * trials)) / denominator;
+  const margin =
+    (WILSON_Z * Math.sqrt((rate * (1 - rate)) / trials + z2 / (4 * trials * trials))) / denominator;
+  return {
+    low: Math.round(Math.max(0, center - margin) * 100) / 100,
+    high: Math.round(Math.min(1, center + margin) * 100) / 100,
+  };
+}
+
+/**
+ * Validates the recency weighting sent with a search
+ * - unit: "shows" or "days" (defaults to shows)
+ * - halfLife: positive number of shows/days after which a show counts half
+ *
+ * @param {Object} [rawRecency] { unit, halfLife } from the request body
+ * @returns {Object} { recency, error } - recency is null when none was given
+ */
+function normalizeRecency(rawRecency) {
+  if (rawRecency == null) {
+    return { recency: null, error: null };
+  }
+  if (typeof rawRecency !== 'object' || Array.isArray(rawRecency)) {
+    return { recency: null, error: 'recency must be an object ({ unit, halfLife })' };
+  }
+  const unit = rawRecency.unit ?? DEFAULT_RECENCY.unit;
+  if (!RECENCY_UNITS.includes(unit)) {
+    return { recency: null, error: 'recency.unit must be "shows" or "days"' };
+  }
+  const halfLife = rawRecency.halfLife ?? DEFAULT_RECENCY.halfLife;
+  if (typeof halfLife !== 'number' || !Number.isFinite(halfLife) || halfLife <= 0 || halfLife > MAX_HALF_LIFE) {
+    return { recency: null, error: `recency.halfLife must be a number between 0 and ${MAX_HALF_LIFE}` };
+  }
+  return { recency: { unit, halfLife }, error: null };
+}
+
+/**
+ * Validates the song variants to leave out of the likelihood numbers
+ *
+ * @param {Array<string>} [rawExclude] Variants from the request body (any of SONG_VARIANTS)
+ * @returns {Object} { exclude, error } - exclude is an empty list when none were given
+ */
+function normalizeExclude(rawExclude) {
+  if (rawExclude == null) {
+    return { exclude: [], error: null };
+  }
+  if (!Array.isArray(rawExclude)) {
+    return { exclude: null, error: 'exclude must be a list of song variants' };
+  }
+  const unknown = rawExclude.filter((variant) => !SONG_VARIANTS.includes(variant));
+  if (unknown.length > 0) {
+    return { exclude: null, error: `Unknown song variant "${unknown[0]}". Use ${SONG_VARIANTS.join(', ')}.` };
+  }
+  return { exclude: [...new Set(rawExclude)], error: null };
+}
+
+// Edition suffixes Spotify adds to re-released albums ("OK Computer (Remastered)")
+const ALBUM_EDITION_PATTERNS = [
+  /\s*-\s*(remaster(ed)?|re-?master|deluxe|special|anniversary|expanded|collector'?s|legacy|super).*$/i,
+  /\s*-\s*\d{4}(\s+.+)?$/,
+  /\s*[([][^)\]]*(remaster|deluxe|edition|version|anniversary|expanded|bonus)[^)\]]*[)\]]\s*$/i,
+];
+
+/**
+ * Strips edition suffixes so re-releases group with the original album
+ *
+ * @param {string} albumName Spotify album name
+ * @returns {string} Album name without edition suffixes
+ */
+function cleanAlbumName(albumName) {
+  let cleaned = albumName || '';
+  ALBUM_EDITION_PATTERNS.forEach((pattern) => {
+    cleaned = cleaned.replace(pattern, '');
+  });
+  return cleaned.trim() || (albumName || '').trim();
+}
+
+/**
+ * Lists a tour's shows with their details and songs, oldest first
+ * - Shows without songs are left out
+ *
+ * @param {Array} allTourInfo All tour setlist data
+ * @returns {Array} Shows ({ details, date, songs })
+ */
+function getDatedShows(allTourInfo) {
+  const mainArtist = allTourInfo[0]?.setlist?.[0]?.artist?.name;
+  return allTourInfo
+    .flatMap((dataPage) => dataPage.setlist || [])
+    .map((setlist) => ({
+      setlist,
+      details: getShowDetails(setlist),
+      date: parseEventDate(setlist.eventDate),
+      songs: getShowSongs(setlist, mainArtist),
+    }))
+    .filter((show) => show.songs.length > 0)
+    .sort(compareShowsByDate);
+}
+
+/**
+ * Returns the mean of a list of numbers (null for an empty list)
+ *
+ * @param {Array<number>} values Numbers to average
+ * @returns {number|null} Mean value
+ */
+function average(values) {
+  return values.length ? values.reduce((total, value) => total + value, 0) / values.length : null;
+}
+
+/**
+ * Share of a show's songs that were also played at an earlier show
+ *
+ * @param {Object} previous Earlier show from getDatedShows
+ * @param {Object} current Later show from getDatedShows
+ * @returns {number} Repeat rate (0-1)
+ */
+function getRepeatRate(previous, current) {
+  const played = new Set(previous.songs.map((entry) => entry.key));
+  const keys = new Set(current.songs.map((entry) => entry.key));
+  return [...keys].filter((key) => played.has(key)).length / keys.size;
+}
+
+/**
+ * Compares night-to-night song repeats at the same venue with the tour's baseline
+ * - Baseline: consecutive shows at different venues
+ * - Residency: nights at one venue no more than RESIDENCY_MAX_DAY_GAP days apart
+ *
+ * @param {Array} shows Shows from getDatedShows
+ * @returns {Object} { byVenue (venue key -> { nights, repeatRate }), baselineRepeatRate,
+ *   residencyRepeatRate, avoidsRepeats }
+ */
+function getRepeatStats(shows) {
+  const baselineRates = [];
+  const byVenue = new Map();
+  shows.forEach((show, index) => {
+    const previous = shows[index - 1];
+    if (previous && previous.details.venueId !== show.details.venueId) {
+      baselineRates.push(getRepeatRate(previous, show));
+    }
+    const { venueId, venue, city } = show.details;
+    const venueKey = venueId || `${venue}|${city}`;
+    if (!byVenue.has(venueKey)) byVenue.set(venueKey, { nights: [], repeatRate: null });
+    byVenue.get(venueKey).nights.push(show);
+  });
+
+  const residencyRates = [];
+  byVenue.forEach((group) => {
+    const repeatRates = [];
+    group.nights.forEach((night, index) => {
+      const previous = group.nights[index - 1];
+      if (previous && night.date !== null && previous.date !== null &&
+        (night.date - previous.date) / DAY_MS <= RESIDENCY_MAX_DAY_GAP) {
+        repeatRates.push(getRepeatRate(previous, night));
+      }
+    });
+    group.repeatRate = average(repeatRates);
+    residencyRates.push(...repeatRates);
+  });
+
+  const baselineRepeatRate = average(baselineRates);
+  const residencyRepeatRate = average(residencyRates);
+  return {
+    byVenue,
+    baselineRepeatRate,
+    residencyRepeatRate,
+    avoidsRepeats: residencyRepeatRate !== null && baselineRepeatRate !== null &&
+      residencyRepeatRate <= baselineRepeatRate - REPEAT_AVOIDANCE_MARGIN,
+  };
+}
 
 
 module.exports = {
 
+  getShowSongs,
+  parseSongInfo,
+  classifyShows,
+  normalizeRecency,
+  normalizeExclude,
+  SONG_VARIANTS,
+  SHOW_TYPES,
+
   /**
    * Extracts and formats tour information from artist page
    * - Organizes tours by artist and counts occurrences
@@ -130,16 +697,141 @@ module.exports = {
     return tours[chosenTourName].tourName;
   },
 
+  /**
+   * Validates and normalizes the optional setlist filters sent with a search
+   * - from / to: inclusive dates, YYYY-MM-DD or dd-mm-yyyy
+   * - countries: ISO country code or list of codes ("US", ["GB", "IE"])
+   * - continent: continent name or code ("Europe", "north-america", "EU")
+   * - city: city name or list of names (case and accent insensitive)
+   * - showType: "headline", "festival" or "all" (see classifyShows)
+   * 
+   * @param {Object} [rawFilters] Filters from the request body
+   * @returns {Object} { filters, error } - filters is null when none were given
+   */
+  normalizeSetlistFilters: (rawFilters) => {
+    if (!rawFilters || typeof rawFilters !== 'object' || Array.isArray(rawFilters)) {
+      return { filters: null, error: null };
+    }
+    const filters = {};
+    const toList = (value) => (Array.isArray(value) ? value : [value]).filter(
+      (item) => typeof item === 'string' && item.trim()
+    );
+
+    for (const bound of ['from', 'to']) {
+      if (rawFilters[bound] == null || rawFilters[bound] === '') continue;
+      const timestamp = parseFilterDate(rawFilters[bound]);
+      if (timestamp === null || Number.isNaN(timestamp)) {
+        return { filters: null, error: `Invalid "${bound}" date. Use YYYY-MM-DD.` };
+      }
+      // Kept as YYYY-MM-DD so the applied filters can be echoed back in tourData
+      filters[bound] = new Date(timestamp).toISOString().slice(0, 10);
+    }
+    if (filters.from && filters.to && filters.from > filters.to) {
+      return { filters: null, error: '"from" date must be before "to" date' };
+    }
+
+    const countries = toList(rawFilters.countries ?? rawFilters.country);
+    if (countries.length) {
+      filters.countries = countries.map((code) => code.trim().toUpperCase());
+    }
+    if (rawFilters.continent) {
+      const continent = getContinentCode(rawFilters.continent);
+      if (!continent) {
+        return { filters: null, error: `Unknown continent "${rawFilters.continent}"` };
+      }
+      filters.continent = continent;
+    }
+    const cities = toList(rawFilters.cities ?? rawFilters.city);
+    if (cities.length) {
+      filters.cities = cities.map(normalizePlaceName);
+    }
+    if (rawFilters.showType && rawFilters.showType !== 'all') {
+      if (!SHOW_TYPES.includes(rawFilters.showType)) {
+        return { filters: null, error: 'showType must be "headline", "festival" or "all"' };
+      }
+      filters.showType = rawFilters.showType;
+    }
+
+    return { filters: Object.keys(filters).length ? filters : null, error: null };
+  },
+
+  /**
+   * Keeps only the setlists matching the search filters
+   * - Works on the pages we already downloaded (eventDate and venue.city)
+   * - Pages left with no setlists are dropped, so later helpers can keep
+   *   reading the artist from the first page
+   * 
+   * @param {Array} allTourInfo All tour setlist data
+   * @param {Object|null} filters Filters from normalizeSetlistFilters
+   * @param {Map} [showClassification] classifyShows result for allTourInfo, if already computed
+   * @returns {Array} Filtered tour setlist data (unchanged if no filters)
+   */
+  filterTourInfo: (allTourInfo, filters, showClassification = null) => {
+    if (!filters) {
+      return allTourInfo;
+    }
+    // Classified against the whole tour so the median set length isn't skewed by other filters
+    const showTypes = filters.showType ? (showClassification || classifyShows(allTourInfo)) : null;
+    const from = filters.from ? parseFilterDate(filters.from) : null;
+    const to = filters.to ? parseFilterDate(filters.to) : null;
+    const matches = (setlist) => {
+      const date = parseEventDate(setlist.eventDate);
+      if (from !== null && (date === null || date < from)) return false;
+      if (to !== null && (date === null || date > to)) return false;
+      const countryCode = setlist.venue?.city?.country?.code?.toUpperCase();
+      if (filters.countries && !filters.countries.includes(countryCode)) return false;
+      if (filters.continent && getContinentForCountry(countryCode) !== filters.continent) return false;
+      if (filters.cities && !filters.cities.includes(normalizePlaceName(setlist.venue?.city?.name))) {
+        return false;
+      }
+      if (showTypes && showTypes.get(setlist.id)?.showType !== filters.showType) return false;
+      return true;
+    };
+
+    const filtered = allTourInfo
+      .map((dataPage) => ({ ...dataPage, setlist: (dataPage.setlist || []).filter(matches) }))
+      .filter((dataPage) => dataPage.setlist.length > 0);
+
+    devLogger.log('setlist', `Setlist filters applied`, {
+      filters,
+      before: allTourInfo.reduce((total, page) => total + (page.setlist?.length || 0), 0),
+      after: filtered.reduce((total, page) => total + page.setlist.length, 0)
+    });
+
+    return filtered;
+  },
+
   /**
    * Processes and tallies songs from setlists
    * - Counts song occurrences across all shows
    * - Handles covers vs. original songs
    * - Calculates play frequencies
+   * - Tracks where each song falls in the show (opener, main-set closer,
+   *   encore, average normalized position from 0 = first to 1 = last)
+   * - Walks shows chronologically to compute a recency-weighted play
+   *   probability and flag songs as "rising" or "dropped"
+   * - Records when and where each song was last played, how many shows ago
+   *   that was, and the average gap between plays
+   * - Merges spelling variants and aliases of a title into one entry, keeping
+   *   the raw titles that were merged
+   * - Tallies acoustic/alternate versions, guest appearances, medleys and
+   *   segues per song; snippets are counted separately from full performances
+   * - Collects songs per show (min/median/max), the main set / encore split
+   *   and the typical start time
    * 
    * @param {Array} allTourInfo All tour setlist data
+   * @param {Object} [options] Tally options
+   * @param {Object} [options.recency] Half-life for recency weighting
+   *   ({ unit: 'shows' | 'days', halfLife: number }, see normalizeRecency),
+   *   defaults to 10 shows; invalid values fall back to the default
+   * @param {Array<string>} [options.exclude] Variants to leave out of the
+   *   likelihood numbers (any of SONG_VARIANTS)
+   * @param {Map} [options.showClassification] classifyShows result for the
+   *   unfiltered tour; pass it when allTourInfo has been filtered, since
+   *   classifying a subset shifts the median set length
    * @returns {Object} Processed song data with counts and order
    */
-  getSongTally: (allTourInfo) => {
+  getSongTally: (allTourInfo, options = {}) => {
     devLogger.log('setlist', `Starting song tally processing`, {
       totalDataPages: allTourInfo.length,
       firstPageSetlistCount: allTourInfo[0]?.setlist?.length || 0,
@@ -150,6 +842,7 @@ module.exports = {
     // const totalShows = allTourInfo[0].total;
     let totalShowsWithData = 0
     let emptySetlistCount = 0; // Counter for setlists with no data
+    const shows = []; // Shows with data, sorted chronologically below
 
     // log Artist
     const mainArtist = allTourInfo[0].setlist[0].artist.name;
@@ -189,38 +882,188 @@ module.exports = {
             venue: element.venue?.name,
             setsCount: element.sets.set.length
           });
+          shows.push({ setlist: element, date: parseEventDate(element.eventDate) });
         }
-        element.sets.set.forEach((setSection) => {
-          setSection.song.forEach((song) => {
-            // skips "Tape" songs (songs that are played before the show starts)
-            if (song.hasOwnProperty("tape") && song.tape === true) {
-              return;
-            }
-            // parse whether song is a cover or not, change artist info accordingly
-            let currentArtist;
-            if (song.hasOwnProperty("cover")) {
-              currentArtist = song.cover.name;
-            } else {
-              currentArtist = mainArtist;
-            }
-            // create a key for the song, formatted as "artist|song" to match w/ its count
-            const key = `${currentArtist}|${song.name}`;
-            // if song alreadys, exists, increment its count
-            if (counts.hasOwnProperty(key)) {
-              counts[key].count++;
-            } else {
-              // else, create a new entry for the song
-              counts[key] = {
-                count: 1,
-                song: song.name,
-                artist: currentArtist,
-              };
-            }
-          });
+      });
+    });
+
+    // Pages come back newest first; walk the tour from first show to last
+    shows.sort(compareShowsByDate);
+
+    // How many of the tallied shows were headline vs festival sets
+    const classified = options.showClassification || classifyShows(allTourInfo);
+    const showTypes = { headline: 0, festival: 0 };
+    shows.forEach(({ setlist }) => {
+      showTypes[classified.get(setlist.id)?.showType || 'headline']++;
+    });
+
+    // Each show's weight halves every `halfLife` shows (or days) back from the newest show
+    const recency = normalizeRecency(options.recency).recency || DEFAULT_RECENCY;
+    const newestDate = shows.length ? shows[shows.length - 1].date : null;
+    const oldestDate = shows.find((show) => show.date !== null)?.date ?? null;
+    const recentWindow = Math.min(shows.length, Math.max(5, Math.ceil(shows.length / 4)));
+    let totalWeight = 0;
+    const showStats = [];
+    const excluded = new Set(normalizeExclude(options.exclude).exclude || []);
+
+    shows.forEach(({ setlist, date }, showIndex) => {
+      const showsAgo = shows.length - 1 - showIndex;
+      const age = recency.unit === 'days'
+        ? ((newestDate ?? 0) - (date ?? oldestDate ?? newestDate ?? 0)) / DAY_MS
+        : showsAgo;
+      const weight = Math.pow(0.5, age / recency.halfLife);
+      const isRecent = showsAgo < recentWindow;
+      totalWeight += weight;
+
+      // Flatten the show into one running order so every song knows where
+      // it fell: opener, main-set closer, encore, or somewhere in between.
+      // Snippets are tallied separately and don't take a spot in the running order
+      const allSongs = getShowSongs(setlist, mainArtist, { includeSnippets: true });
+      const showSongs = allSongs.filter((entry) => !entry.info.isSnippet);
+      const lastMainSetIndex = showSongs.findLastIndex((entry) => !entry.isEncore);
+      const seenThisShow = new Set();
+      showStats.push({
+        songs: showSongs.length,
+        encoreSongs: showSongs.filter((entry) => entry.isEncore).length,
+        startMinutes: getStartMinutes(setlist),
+      });
+
+      // if song doesn't exist yet, create a new entry for it
+      const getEntry = (key, song, artist, rawSong) => {
+        if (!counts.hasOwnProperty(key)) {
+          counts[key] = {
+            key,
+            count: 0,
+            song,
+            artist,
+            isCover: artist !== mainArtist,
+            titleCounts: new Map(),
+            rawTitles: new Set(),
+            openerCount: 0,
+            closerCount: 0,
+            encoreCount: 0,
+            snippetCount: 0,
+            standardCount: 0,
+            acousticCount: 0,
+            alternateCount: 0,
+            guestCount: 0,
+            medleyCount: 0,
+            segueCount: 0,
+            guests: new Set(),
+            versions: new Set(),
+            positionTotal: 0,
+            showsPlayed: 0,
+            weightedShows: 0,
+            recentShows: 0,
+            lastShowIndex: null,
+            gapTotal: 0,
+            lastPlayed: null,
+          };
+        }
+        const entry = counts[key];
+        entry.titleCounts.set(song, (entry.titleCounts.get(song) || 0) + 1);
+        entry.rawTitles.add(rawSong);
+        return entry;
+      };
+
+      allSongs.forEach(({ key, song, rawSong, artist, info }) => {
+        if (info.isSnippet) {
+          getEntry(key, song, artist, rawSong).snippetCount++;
+        }
+        // Songs teased inside another song count as snippets of the band's own songs
+        info.teasedSnippets.forEach((teased) => {
+          const { key: teasedKey, title } = resolveSongTitle(mainArtist, teased);
+          getEntry(teasedKey, title, mainArtist, teased).snippetCount++;
         });
       });
+
+      showSongs.forEach(({ key, song, rawSong, artist, isEncore, info }, position) => {
+        const entry = getEntry(key, song, artist, rawSong);
+        if (info.acoustic) entry.acousticCount++;
+        if (info.alternateVersion) {
+          entry.alternateCount++;
+          entry.versions.add(info.alternateVersion);
+        }
+        if (info.guest) {
+          entry.guestCount++;
+          entry.guests.add(info.guest);
+        }
+        if (info.medley) entry.medleyCount++;
+        if (info.segue) entry.segueCount++;
+        if (!info.acoustic && !info.alternateVersion && !info.guest && !info.medley) {
+          entry.standardCount++;
+        }
+        if (isExcludedVariant(info, excluded)) {
+          return;
+        }
+        entry.count++;
+        if (position === 0) {
+          entry.openerCount++;
+        }
+        if (position === lastMainSetIndex) {
+          entry.closerCount++;
+        }
+        if (isEncore) {
+          entry.encoreCount++;
+        }
+        // 0 = first song of the night, 1 = last song of the night
+        entry.positionTotal += showSongs.length > 1 ? position / (showSongs.length - 1) : 0;
+
+        // Probabilities are per show, so a song played twice in a night counts once
+        if (!seenThisShow.has(key)) {
+          seenThisShow.add(key);
+          entry.showsPlayed++;
+          entry.weightedShows += weight;
+          if (isRecent) {
+            entry.recentShows++;
+          }
+          if (entry.lastShowIndex !== null) {
+            entry.gapTotal += showIndex - entry.lastShowIndex - 1;
+          }
+          entry.lastShowIndex = showIndex;
+          const { eventDate, venue, city } = getShowDetails(setlist);
+          entry.lastPlayed = { eventDate, venue, city };
+        }
+      });
     });
-    const countsOrdered = Object.values(counts);
+
+    // Songs only ever snippeted (or only played as excluded variants) have no likelihood
+    const countsOrdered = Object.values(counts).filter((entry) => entry.count > 0).map(
+      ({
+        positionTotal, weightedShows, recentShows, lastShowIndex, gapTotal,
+        guests, versions, titleCounts, rawTitles, ...entry
+      }) => {
+        const { showsPlayed } = entry;
+        const tourRate = showsPlayed / totalShowsWithData;
+        const recentRate = recentShows / recentWindow;
+        let trend = null;
+        if (totalShowsWithData >= TREND_MIN_SHOWS) {
+          if (recentRate - tourRate >= TREND_THRESHOLD) {
+            trend = 'rising';
+          } else if (tourRate - recentRate >= TREND_THRESHOLD) {
+            trend = 'dropped';
+          }
+        }
+        return {
+          ...entry,
+          song: pickTitle(titleCounts),
+          // Every raw setlist.fm title merged into this entry
+          titles: [...rawTitles],
+          guests: [...guests],
+          versions: [...versions],
+          avgPosition: Math.round((positionTotal / entry.count) * 100) / 100,
+          weightedProbability: Math.round((weightedShows / totalWeight) * 100) / 100,
+          recentRate: Math.round(recentRate * 100) / 100,
+          // 95% confidence interval for the tour-wide play rate
+          playRateInterval: wilsonInterval(showsPlayed, totalShowsWithData),
+          trend,
+          // 0 = played at the most recent show
+          showsSinceLastPlayed: shows.length - 1 - lastShowIndex,
+          // Average number of shows skipped between plays (null if played once)
+          averageGap: showsPlayed > 1 ? Math.round((gapTotal / (showsPlayed - 1)) * 10) / 10 : null,
+        };
+      }
+    );
     countsOrdered.sort((a, b) => {
       if (a.count < b.count) {
         return 1;
@@ -250,9 +1093,969 @@ module.exports = {
     return {
       songsOrdered: countsOrdered,
       totalShowsWithData: totalShowsWithData,
-    };;
+      recency: { ...recency, recentWindow },
+      excludedVariants: [...excluded],
+      showTypes,
+      showLength: getShowLengthStats(showStats),
+    };
+
+  },
+
+  /**
+   * Marks debuts and bust-outs using the artist's full song history
+   * - Debut: the song's first-ever live play happened on this tour
+   * - Bust-out: before this tour, the song had last been played more than
+   *   `minShows` shows or `minYears` years earlier
+   * - Songs are returned unchanged when no history is available
+   *
+   * @param {Array} songsOrdered Tallied songs from getSongTally
+   * @param {Array} allTourInfo All tour setlist data
+   * @param {Object|null} songHistory { showDates, songs } from the tour cache
+   * @param {Object} [options] { minShows, minYears } bust-out thresholds
+   * @returns {Array} Songs with debut, bustOut, previousPlay and showsSincePreviousPlay
+   */
+  addCareerHistory: (songsOrdered, allTourInfo, songHistory, options = {}) => {
+    if (!songHistory?.songs || !songHistory?.showDates) {
+      return songsOrdered;
+    }
+    const { minShows = BUSTOUT_MIN_SHOWS, minYears = BUSTOUT_MIN_YEARS } = options;
+    const mainArtist = allTourInfo[0]?.setlist?.[0]?.artist?.name;
+
+    // First play of each song on this tour
+    const firstOnTour = new Map();
+    allTourInfo.forEach((dataPage) => {
+      (dataPage.setlist || []).forEach((setlist) => {
+        const stamp = getDateStamp(setlist.eventDate);
+        if (stamp === null) return;
+        getShowSongs(setlist, mainArtist).forEach(({ key }) => {
+          if (!firstOnTour.has(key) || stamp < firstOnTour.get(key)) {
+            firstOnTour.set(key, stamp);
+          }
+        });
+      });
+    });
+
+    const annotated = songsOrdered.map((entry) => {
+      const tourFirst = firstOnTour.get(entry.key);
+      if (!tourFirst) {
+        return entry;
+      }
+      const plays = songHistory.songs[entry.key] || [];
+      const previous = plays.filter((stamp) => stamp < tourFirst).pop();
+      if (!previous) {
+        return { ...entry, debut: true, bustOut: false, previousPlay: null, showsSincePreviousPlay: null };
+      }
+      const showsBetween = songHistory.showDates.filter(
+        (stamp) => stamp > previous && stamp < tourFirst
+      ).length;
+      const yearsBetween =
+        (parseEventDate(stampToEventDate(tourFirst)) - parseEventDate(stampToEventDate(previous))) /
+        (365.25 * DAY_MS);
+      return {
+        ...entry,
+        debut: false,
+        bustOut: showsBetween > minShows || yearsBetween >= minYears,
+        previousPlay: stampToEventDate(previous),
+        showsSincePreviousPlay: showsBetween,
+      };
+    });
+
+    devLogger.log('setlist', `Career history applied`, {
+      debuts: annotated.filter((entry) => entry.debut).map((entry) => entry.song),
+      bustOuts: annotated.filter((entry) => entry.bustOut).map((entry) => entry.song)
+    });
+
+    return annotated;
+  },
+
+  /**
+   * Builds a show × song matrix for a tour
+   * - One row per show with song data, in chronological order, with the
+   *   songs played and their position in the show
+   * - Each show is tagged as a headline or festival set (see classifyShows)
+   * - Songs are listed once in `songs` (most played first) to use as columns
+   *
+   * @param {Array} allTourInfo All tour setlist data
+   * @returns {Object} { shows: Array, songs: Array }
+   */
+  getShowMatrix: (allTourInfo) => {
+    const mainArtist = allTourInfo[0]?.setlist?.[0]?.artist?.name;
+    const songs = new Map();
+    const shows = [];
+    const showTypes = classifyShows(allTourInfo);
 
+    allTourInfo.forEach((dataPage) => {
+      (dataPage.setlist || []).forEach((setlist) => {
+        const showSongs = getShowSongs(setlist, mainArtist);
+        if (showSongs.length === 0) {
+          return;
+        }
+        shows.push({
+          ...getShowDetails(setlist),
+          ...showTypes.get(setlist.id),
+          date: parseEventDate(setlist.eventDate),
+          songs: showSongs.map(({ key, isEncore }, index) => ({
+            key,
+            position: index + 1,
+            isEncore,
+          })),
+        });
+        showSongs.forEach(({ key, song, artist }) => {
+          if (!songs.has(key)) {
+            songs.set(key, { key, song, artist, count: 0, titleCounts: new Map() });
+          }
+          const entry = songs.get(key);
+          entry.count++;
+          entry.titleCounts.set(song, (entry.titleCounts.get(song) || 0) + 1);
+        });
+      });
+    });
+
+    shows.sort(compareShowsByDate);
+
+    return {
+      shows: shows.map(({ date, ...show }) => show),
+      songs: Array.from(songs.values())
+        .map(({ titleCounts, ...entry }) => ({ ...entry, song: pickTitle(titleCounts) }))
+        .sort((a, b) => b.count - a.count),
+    };
   },
 
+  /**
+   * Finds rotation slots: groups of songs that alternate in the same part of
+   * the show from night to night (e.g. "A / B / C, one per night")
+   * - Only considers songs that are neither staples nor one-offs
+   * - Songs in a group are rarely played in the same show and have similar
+   *   average positions
+   * - A group is kept when, between them, its songs fill the slot on at
+   *   least half of the shows
+   *
+   * @param {Array} allTourInfo All tour setlist data
+   * @param {Array} songsOrdered Tallied songs from getSongTally
+   * @returns {Array} Rotation slots ({ songs, coverage, avgPosition }), most common first
+   */
+  getRotationSlots: (allTourInfo, songsOrdered) => {
+    const mainArtist = allTourInfo[0]?.setlist?.[0]?.artist?.name;
+    const showsBySong = new Map();
+    let totalShows = 0;
+
+    allTourInfo.forEach((dataPage) => {
+      (dataPage.setlist || []).forEach((setlist) => {
+        const showSongs = getShowSongs(setlist, mainArtist);
+        if (showSongs.length === 0) {
+          return;
+        }
+        const showIndex = totalShows++;
+        showSongs.forEach(({ key }) => {
+          if (!showsBySong.has(key)) {
+            showsBySong.set(key, new Set());
+          }
+          showsBySong.get(key).add(showIndex);
+        });
+      });
+    });
+
+    if (totalShows < 4 || !songsOrdered?.length) {
+      return [];
+    }
+
+    const candidates = songsOrdered
+      .map((entry) => ({ ...entry, shows: showsBySong.get(entry.key) || new Set() }))
+      .filter((entry) => {
+        const rate = entry.shows.size / totalShows;
+        return entry.shows.size >= 2 && rate >= 0.15 && rate <= 0.85;
+      });
+
+    const canShareSlot = (a, b) => {
+      let overlap = 0;
+      a.shows.forEach((showIndex) => {
+        if (b.shows.has(showIndex)) overlap++;
+      });
+      return (
+        overlap / Math.min(a.shows.size, b.shows.size) <= ROTATION_MAX_OVERLAP &&
+        Math.abs(a.avgPosition - b.avgPosition) <= ROTATION_MAX_POSITION_GAP
+      );
+    };
+
+    // Greedily place each song (most played first) into the first group it fits
+    const groups = [];
+    candidates.forEach((candidate) => {
+      const group = groups.find((members) =>
+        members.every((member) => canShareSlot(member, candidate))
+      );
+      if (group) {
+        group.push(candidate);
+      } else {
+        groups.push([candidate]);
+      }
+    });
+
+    const rotationSlots = groups
+      .filter((members) => members.length >= 2)
+      .map((members) => {
+        const filled = new Set();
+        members.forEach((member) => member.shows.forEach((showIndex) => filled.add(showIndex)));
+        const avgPosition = members.reduce((sum, member) => sum + member.avgPosition, 0) / members.length;
+        return {
+          songs: members.map(({ key, song, artist, count }) => ({ key, song, artist, count })),
+          coverage: Math.round((filled.size / totalShows) * 100) / 100,
+          avgPosition: Math.round(avgPosition * 100) / 100,
+        };
+      })
+      .filter((slot) => slot.coverage >= ROTATION_MIN_COVERAGE)
+      .sort((a, b) => b.coverage - a.coverage);
 
+    devLogger.log('setlist', `Rotation slot analysis completed`, {
+      candidates: candidates.length,
+      rotationSlots: rotationSlots.map((slot) => slot.songs.map((entry) => entry.song).join(' / '))
+    });
+
+    return rotationSlots;
+  },
+
+  /**
+   * Builds a predicted running order ("most likely setlist") for the tour
+   * - Sized to the median number of songs per show
+   * - Picks the most frequently played songs, then orders them greedily:
+   *   each slot goes to the song that most often followed the previous one,
+   *   balanced against how close its average position is to that slot
+   * - Songs that are usually encores are kept after the main set
+   *
+   * @param {Array} allTourInfo All tour setlist data
+   * @param {Array} songsOrdered Tallied songs from getSongTally
+   * @param {Object} [options] { showLength } to size the setlist for a specific show
+   * @returns {Array} Predicted setlist ({ song, artist, position, isEncore })
+   */
+  getPredictedSetlist: (allTourInfo, songsOrdered, options = {}) => {
+    const mainArtist = allTourInfo[0]?.setlist?.[0]?.artist?.name;
+    const shows = [];
+    allTourInfo.forEach((dataPage) => {
+      (dataPage.setlist || []).forEach((setlist) => {
+        const showSongs = getShowSongs(setlist, mainArtist);
+        if (showSongs.length > 0) {
+          shows.push(showSongs);
+        }
+      });
+    });
+
+    if (shows.length === 0 || !songsOrdered?.length) {
+      return [];
+    }
+
+    // Count how often each song was directly followed by each other song
+    const transitions = new Map();
+    shows.forEach((showSongs) => {
+      for (let i = 0; i < showSongs.length - 1; i++) {
+        const from = showSongs[i].key;
+        const to = showSongs[i + 1].key;
+        if (!transitions.has(from)) {
+          transitions.set(from, new Map());
+        }
+        const followers = transitions.get(from);
+        followers.set(to, (followers.get(to) || 0) + 1);
+      }
+    });
+
+    const showLength = options.showLength || Math.round(median(shows.map((showSongs) => showSongs.length)));
+    const candidates = songsOrdered.slice(0, showLength).map((entry) => ({
+      ...entry,
+      isEncore: entry.encoreCount / entry.count >= 0.5,
+    }));
+    const total = candidates.length;
+    const ordered = [];
+
+    const orderGroup = (group) => {
+      const remaining = [...group];
+      while (remaining.length > 0) {
+        const previous = ordered[ordered.length - 1];
+        const slot = total > 1 ? ordered.length / (total - 1) : 0;
+        let bestIndex = 0;
+        let bestScore = -Infinity;
+        remaining.forEach((candidate, index) => {
+          // How often this song followed the previous one (or opened the show)
+          const transitionScore = previous
+            ? (transitions.get(previous.key)?.get(candidate.key) || 0) / previous.count
+            : candidate.openerCount / candidate.count;
+          const positionScore = 1 - Math.abs(candidate.avgPosition - slot);
+          const score = transitionScore + positionScore;
+          if (score > bestScore) {
+            bestScore = score;
+            bestIndex = index;
+          }
+        });
+        ordered.push(remaining.splice(bestIndex, 1)[0]);
+      }
+    };
+
+    orderGroup(candidates.filter((candidate) => !candidate.isEncore));
+    orderGroup(candidates.filter((candidate) => candidate.isEncore));
+
+    devLogger.log('setlist', `Predicted setlist generated`, {
+      showLength,
+      showsAnalyzed: shows.length,
+      predicted: ordered.map((entry) => entry.song)
+    });
+
+    return ordered.map(({ song, artist, isEncore }, index) => ({
+      song,
+      artist,
+      position: index + 1,
+      isEncore,
+    }));
+  },
+
+  /**
+   * Diffs the song tallies of two tours
+   * - Dropped: played on the first tour but not the second
+   * - Added: played on the second tour but not the first
+   * - Changed: played on both, with a likelihood change of at least `threshold`
+   * - Staples: played at most shows on both tours
+   * 
+   * @param {Object} fromTally getSongTally result for the earlier / base tour
+   * @param {Object} toTally getSongTally result for the tour to compare against
+   * @param {Object} [options] { threshold } minimum likelihood change (0-1), defaults to 0.2
+   * @returns {Object} { threshold, added, dropped, changed, staples }
+   */
+  compareTours: (fromTally, toTally, options = {}) => {
+    const threshold = typeof options.threshold === 'number' ? options.threshold : COMPARE_DEFAULT_THRESHOLD;
+    // Share of shows the song was played at (count can include repeats within a show)
+    const getRate = (entry, tally) => Math.round((entry.showsPlayed / tally.totalShowsWithData) * 100) / 100;
+    const fromSongs = new Map(fromTally.songsOrdered.map((entry) => [entry.key, entry]));
+    const toSongs = new Map(toTally.songsOrdered.map((entry) => [entry.key, entry]));
+
+    const added = [];
+    const changed = [];
+    const staples = [];
+    toSongs.forEach((entry, key) => {
+      const toRate = getRate(entry, toTally);
+      const previous = fromSongs.get(key);
+      if (!previous) {
+        added.push({ key, song: entry.song, artist: entry.artist, fromRate: 0, toRate });
+        return;
+      }
+      const fromRate = getRate(previous, fromTally);
+      const change = Math.round((toRate - fromRate) * 100) / 100;
+      if (fromRate >= COMPARE_STAPLE_RATE && toRate >= COMPARE_STAPLE_RATE) {
+        staples.push({ key, song: entry.song, artist: entry.artist, fromRate, toRate, change });
+      } else if (Math.abs(change) >= threshold) {
+        changed.push({ key, song: entry.song, artist: entry.artist, fromRate, toRate, change });
+      }
+    });
+    const dropped = fromTally.songsOrdered
+      .filter((entry) => !toSongs.has(entry.key))
+      .map((entry) => ({
+        key: entry.key,
+        song: entry.song,
+        artist: entry.artist,
+        fromRate: getRate(entry, fromTally),
+        toRate: 0,
+      }));
+
+    added.sort((a, b) => b.toRate - a.toRate);
+    dropped.sort((a, b) => b.fromRate - a.fromRate);
+    changed.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+    staples.sort((a, b) => b.toRate - a.toRate);
+
+    devLogger.log('setlist', `Tour comparison built`, {
+      threshold,
+      added: added.length,
+      dropped: dropped.length,
+      changed: changed.length,
+      staples: staples.length
+    });
+
+    return { threshold, added, dropped, changed, staples };
+  },
+
+  /**
+   * Builds career-wide song statistics from an artist's full song history
+   * - Total plays (shows the song was played at), first and last play
+   * - Number of tours the song appeared on
+   * - Plays per year, aligned to `years` so every song's series has the
+   *   same length (for sparklines)
+   * 
+   * @param {Object} songHistory { showDates, songs, songInfo } from fetchSongHistory
+   * @returns {Object} { totalShows, years, showsPerYear, songs }
+   */
+  getCareerStats: (songHistory) => {
+    const showDates = songHistory?.showDates || [];
+    if (showDates.length === 0) {
+      return { totalShows: 0, years: [], showsPerYear: [], songs: [] };
+    }
+    const yearOf = (stamp) => Math.floor(stamp / 10000);
+    const firstYear = yearOf(showDates[0]);
+    const lastYear = yearOf(showDates[showDates.length - 1]);
+    const years = Array.from({ length: lastYear - firstYear + 1 }, (_, index) => firstYear + index);
+    const countByYear = (stamps) => {
+      const series = years.map(() => 0);
+      stamps.forEach((stamp) => {
+        series[yearOf(stamp) - firstYear]++;
+      });
+      return series;
+    };
+
+    const songs = Object.entries(songHistory.songs).map(([key, stamps]) => {
+      const info = songHistory.songInfo?.[key] || {};
+      const [artist, ...title] = key.split('|');
+      return {
+        key,
+        song: info.song || title.join('|'),
+        artist: info.artist || artist,
+        totalPlays: stamps.length,
+        firstPlayed: stampToEventDate(stamps[0]),
+        lastPlayed: stampToEventDate(stamps[stamps.length - 1]),
+        tourCount: info.tours?.length || 0,
+        playsPerYear: countByYear(stamps),
+      };
+    });
+    songs.sort((a, b) => b.totalPlays - a.totalPlays);
+
+    devLogger.log('setlist', `Career stats built`, {
+      totalShows: showDates.length,
+      years: `${firstYear}-${lastYear}`,
+      songs: songs.length
+    });
+
+    return {
+      totalShows: showDates.length,
+      years,
+      showsPerYear: countByYear(showDates),
+      songs,
+    };
+  },
+
+  /**
+   * Groups a tour's songs by the album (era) they first appeared on
+   * - Uses the earliest matching Spotify release, so remasters, deluxe
+   *   editions and compilations count towards the original album
+   * - songsPerShow / share describe the average show: how many of its songs
+   *   come from each album, and what fraction of the set that is
+   * - Songs without Spotify album info are grouped under album: null
+   *
+   * @param {Array} spotifySongs Songs from getSpotifySongInfo
+   * @param {number} totalShows Number of shows the counts cover
+   * @returns {Array} [{ album, releaseDate, year, songCount, songs, songsPerShow, share }], oldest first
+   */
+  getAlbumBreakdown: (spotifySongs, totalShows) => {
+    if (!spotifySongs?.length || !totalShows) return [];
+    const albums = new Map();
+    let totalPlays = 0;
+
+    spotifySongs.forEach((song) => {
+      const albumName = song.originalAlbumName || song.albumName;
+      const releaseDate = song.originalReleaseDate || song.albumReleaseDate || null;
+      const album = albumName ? cleanAlbumName(albumName) : null;
+      const groupKey = album ? album.toLowerCase() : null;
+      if (!albums.has(groupKey)) {
+        albums.set(groupKey, { album, releaseDate, plays: 0, songs: [] });
+      }
+      const group = albums.get(groupKey);
+      // Keep the earliest date when several releases share a cleaned name
+      if (releaseDate && (!group.releaseDate || releaseDate < group.releaseDate)) {
+        group.releaseDate = releaseDate;
+      }
+      group.plays += song.count;
+      group.songs.push(song.song);
+      totalPlays += song.count;
+    });
+
+    const breakdown = Array.from(albums.values()).map((group) => ({
+      album: group.album,
+      releaseDate: group.releaseDate,
+      year: group.releaseDate ? Number(group.releaseDate.slice(0, 4)) : null,
+      songCount: group.songs.length,
+      songs: group.songs,
+      songsPerShow: Number((group.plays / totalShows).toFixed(2)),
+      share: totalPlays ? Number((group.plays / totalPlays).toFixed(3)) : 0,
+    }));
+    // Oldest first; unknown albums and undated releases go last
+    breakdown.sort((a, b) => {
+      if (!a.album || !b.album) return a.album ? -1 : b.album ? 1 : 0;
+      if (!a.releaseDate || !b.releaseDate) return a.releaseDate ? -1 : b.releaseDate ? 1 : 0;
+      return a.releaseDate < b.releaseDate ? -1 : a.releaseDate > b.releaseDate ? 1 : 0;
+    });
+
+    devLogger.log('setlist', `Album breakdown built`, {
+      albums: breakdown.length,
+      unmatched: breakdown.find((group) => !group.album)?.songCount || 0
+    });
+
+    return breakdown;
+  },
+
+  /**
+   * Summarizes the covers and guest appearances on a tour
+   * - Covers: songs credited to another artist, with how many shows they were played at
+   * - Covered artists: original artists, with how many of their songs were played
+   * - Guests: performers from the `with` field (or "with X" in the notes),
+   *   with the shows they appeared at and what they played
+   *
+   * @param {Array} allTourInfo All tour setlist data
+   * @returns {Object} { covers, coveredArtists, guests }
+   */
+  getCoversSummary: (allTourInfo) => {
+    const mainArtist = allTourInfo[0]?.setlist?.[0]?.artist?.name;
+    const covers = new Map();
+    const guests = new Map();
+
+    const shows = allTourInfo
+      .flatMap((dataPage) => dataPage.setlist || [])
+      .map((setlist) => ({ setlist, date: parseEventDate(setlist.eventDate) }))
+      .sort(compareShowsByDate);
+
+    shows.forEach(({ setlist }) => {
+      const showSongs = getShowSongs(setlist, mainArtist);
+      if (showSongs.length === 0) return;
+      const { eventDate, venue, city } = getShowDetails(setlist);
+      const seenThisShow = new Set();
+
+      showSongs.forEach(({ key, song, artist, info }) => {
+        if (artist !== mainArtist && !seenThisShow.has(key)) {
+          seenThisShow.add(key);
+          if (!covers.has(key)) {
+            covers.set(key, { key, song, originalArtist: artist, count: 0, lastPlayed: null });
+          }
+          const cover = covers.get(key);
+          cover.count++;
+          cover.lastPlayed = { eventDate, venue, city };
+        }
+        if (info.guest) {
+          if (!guests.has(info.guest)) {
+            guests.set(info.guest, { name: info.guest, appearances: [] });
+          }
+          const { appearances } = guests.get(info.guest);
+          let appearance = appearances[appearances.length - 1];
+          if (appearance?.eventDate !== eventDate || appearance?.venue !== venue) {
+            appearance = { eventDate, venue, city, songs: [] };
+            appearances.push(appearance);
+          }
+          if (!appearance.songs.includes(song)) {
+            appearance.songs.push(song);
+          }
+        }
+      });
+    });
+
+    const coversOrdered = [...covers.values()].sort((a, b) => b.count - a.count);
+    const coveredArtists = new Map();
+    coversOrdered.forEach(({ originalArtist, count }) => {
+      if (!coveredArtists.has(originalArtist)) {
+        coveredArtists.set(originalArtist, { artist: originalArtist, songCount: 0, plays: 0 });
+      }
+      coveredArtists.get(originalArtist).songCount++;
+      coveredArtists.get(originalArtist).plays += count;
+    });
+
+    const summary = {
+      covers: coversOrdered,
+      coveredArtists: [...coveredArtists.values()].sort((a, b) => b.plays - a.plays),
+      guests: [...guests.values()]
+        .map((guest) => ({ ...guest, count: guest.appearances.length }))
+        .sort((a, b) => b.count - a.count),
+    };
+
+    devLogger.log('setlist', `Covers summary built`, {
+      covers: summary.covers.length,
+      coveredArtists: summary.coveredArtists.length,
+      guests: summary.guests.length
+    });
+
+    return summary;
+  },
+
+  /**
+   * Picks an evenly spread sample of headline shows to look up support acts for
+   * - Festival sets are skipped, since every act on the bill would show up
+   * - Shows need a venue ID and date for the cross-query
+   *
+   * @param {Array} allTourInfo All tour setlist data
+   * @param {number} [sampleSize] Maximum number of shows to pick
+   * @returns {Array} Setlists to cross-query, oldest first
+   */
+  getSupportActSample: (allTourInfo, sampleSize = SUPPORT_SAMPLE_SIZE) => {
+    const classified = classifyShows(allTourInfo);
+    const shows = allTourInfo
+      .flatMap((dataPage) => dataPage.setlist || [])
+      .filter((setlist) =>
+        setlist.venue?.id && setlist.eventDate && classified.get(setlist.id)?.showType !== 'festival'
+      )
+      .map((setlist) => ({ setlist, date: parseEventDate(setlist.eventDate) }))
+      .sort(compareShowsByDate)
+      .map(({ setlist }) => setlist);
+    if (shows.length <= sampleSize) {
+      return shows;
+    }
+    const step = shows.length / sampleSize;
+    return Array.from({ length: sampleSize }, (_, index) => shows[Math.floor(index * step)]);
+  },
+
+  /**
+   * Finds the other acts that played the sampled shows
+   * - An act whose typical set is at least CO_HEADLINER_LENGTH_RATIO of the
+   *   headliner's is reported as a co-headliner, otherwise as support
+   * - Each act's likely songs are ranked by how many of its setlists they appear on
+   *
+   * @param {Array} samples Sampled shows ({ setlist, others }) where `others` are
+   *   every setlist at the same venue and date
+   * @returns {Array} Acts ({ name, mbid, role, showCount, sampledShows, shows,
+   *   showsWithSetlist, songs }), most frequent first
+   */
+  getSupportActs: (samples) => {
+    const acts = new Map();
+
+    samples.forEach(({ setlist, others }) => {
+      const mainArtist = setlist.artist;
+      const mainLength = getShowSongs(setlist, mainArtist.name).length;
+      const { eventDate, city } = getShowDetails(setlist);
+
+      (others || []).forEach((other) => {
+        const artist = other.artist;
+        if (!artist || artist.mbid === mainArtist.mbid || artist.name === mainArtist.name) {
+          return;
+        }
+        const actKey = artist.mbid || artist.name;
+        if (!acts.has(actKey)) {
+          acts.set(actKey, {
+            name: artist.name,
+            mbid: artist.mbid || null,
+            shows: [],
+            setLengths: [],
+            mainLengths: [],
+            songCounts: new Map(),
+            showsWithSetlist: 0,
+          });
+        }
+        const act = acts.get(actKey);
+        if (act.shows.some((show) => show.eventDate === eventDate && show.city === city)) {
+          return;
+        }
+        act.shows.push({ eventDate, city });
+
+        const showSongs = getShowSongs(other, artist.name);
+        if (showSongs.length === 0) return;
+        act.showsWithSetlist++;
+        act.setLengths.push(showSongs.length);
+        if (mainLength > 0) act.mainLengths.push(mainLength);
+        new Map(showSongs.map((entry) => [entry.key, entry])).forEach(({ key, song, artist: songArtist }) => {
+          if (!act.songCounts.has(key)) {
+            act.songCounts.set(key, { key, song, artist: songArtist, count: 0 });
+          }
+          act.songCounts.get(key).count++;
+        });
+      });
+    });
+
+    const supportActs = [...acts.values()].map((act) => {
+      const actLength = median(act.setLengths);
+      const mainLength = median(act.mainLengths);
+      return {
+        name: act.name,
+        mbid: act.mbid,
+        role: actLength > 0 && mainLength > 0 && actLength >= mainLength * CO_HEADLINER_LENGTH_RATIO
+          ? 'co-headliner'
+          : 'support',
+        showCount: act.shows.length,
+        sampledShows: samples.length,
+        shows: act.shows,
+        showsWithSetlist: act.showsWithSetlist,
+        songs: [...act.songCounts.values()]
+          .sort((a, b) => b.count - a.count)
+          .slice(0, SUPPORT_TOP_SONGS),
+      };
+    });
+    supportActs.sort((a, b) => b.showCount - a.showCount);
+
+    devLogger.log('setlist', `Support acts found`, {
+      sampledShows: samples.length,
+      acts: supportActs.map((act) => `${act.name} (${act.showCount}, ${act.role})`)
+    });
+
+    return supportActs;
+  },
+
+  /**
+   * Builds per-venue and per-city insights for residencies and return visits
+   * - Venues played on more than one night list each night's songs
+   * - Repeat rate: share of a night's songs that were also played the night
+   *   before at the same venue, compared with consecutive shows at different
+   *   venues (the tour's baseline)
+   * - likelyNext predicts the next night at a venue: the tour's most likely
+   *   songs, with songs already played there discounted when the artist
+   *   avoids repeats
+   *
+   * @param {Array} allTourInfo All tour setlist data
+   * @param {Array} songsOrdered Tallied songs from getSongTally
+   * @returns {Object} { venues, cities, baselineRepeatRate, residencyRepeatRate, avoidsRepeats }
+   */
+  getVenueInsights: (allTourInfo, songsOrdered) => {
+    const shows = getDatedShows(allTourInfo);
+    const { byVenue, baselineRepeatRate, residencyRepeatRate, avoidsRepeats } = getRepeatStats(shows);
+    const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+    const byCity = new Map();
+    shows.forEach((show) => {
+      const { city, country } = show.details;
+      const cityKey = `${city}|${country}`;
+      if (!byCity.has(cityKey)) byCity.set(cityKey, []);
+      byCity.get(cityKey).push(show);
+    });
+    const venues = [...byVenue.values()].filter(({ nights }) => nights.length > 1);
+
+    const totalShows = shows.length;
+    const venueInsights = venues.map(({ nights, repeatRate }) => {
+      const { venueId, venue, city, country } = nights[0].details;
+      const playedHere = new Set(nights.flatMap((night) => night.songs.map((entry) => entry.key)));
+      // Chance a song already played here comes back, relative to any other song
+      const repeatFactor = avoidsRepeats && baselineRepeatRate
+        ? Math.min(1, (repeatRate ?? residencyRepeatRate) / baselineRepeatRate)
+        : 1;
+      const likelyNext = (songsOrdered || [])
+        .map((entry) => ({
+          key: entry.key,
+          song: entry.song,
+          playedHere: playedHere.has(entry.key),
+          rate: (entry.showsPlayed / totalShows) * (playedHere.has(entry.key) ? repeatFactor : 1),
+        }))
+        .sort((a, b) => b.rate - a.rate)
+        .slice(0, VENUE_PREDICTION_SIZE)
+        .map((entry) => ({ ...entry, rate: round(entry.rate) }));
+
+      return {
+        venueId,
+        venue,
+        city,
+        country,
+        nights: nights.map((night) => ({
+          id: night.details.id,
+          eventDate: night.details.eventDate,
+          songs: night.songs.map((entry) => entry.song),
+        })),
+        repeatRate: round(repeatRate),
+        likelyNext,
+      };
+    });
+    venueInsights.sort((a, b) => b.nights.length - a.nights.length);
+
+    // Cities the tour came back to, at a different venue or on a later run
+    const isReturnVisit = (visits) => visits.some((visit, index) => {
+      const previous = visits[index - 1];
+      return previous && (previous.details.venueId !== visit.details.venueId ||
+        previous.date === null || visit.date === null ||
+        (visit.date - previous.date) / DAY_MS > RESIDENCY_MAX_DAY_GAP);
+    });
+    const cities = [...byCity.values()]
+      .filter((visits) => visits.length > 1 && isReturnVisit(visits))
+      .map((visits) => {
+        const songCounts = new Map();
+        visits.forEach((visit) => {
+          new Set(visit.songs.map((entry) => entry.song)).forEach((song) => {
+            songCounts.set(song, (songCounts.get(song) || 0) + 1);
+          });
+        });
+        return {
+          city: visits[0].details.city,
+          country: visits[0].details.country,
+          showCount: visits.length,
+          venues: [...new Set(visits.map((visit) => visit.details.venue))],
+          // Songs played at every show in this city
+          everyVisit: [...songCounts.entries()]
+            .filter(([, count]) => count === visits.length)
+            .map(([song]) => song),
+        };
+      })
+      .sort((a, b) => b.showCount - a.showCount);
+
+    devLogger.log('setlist', `Venue insights built`, {
+      multiNightVenues: venueInsights.length,
+      repeatCities: cities.length,
+      baselineRepeatRate: round(baselineRepeatRate),
+      residencyRepeatRate: round(residencyRepeatRate),
+      avoidsRepeats
+    });
+
+    return {
+      venues: venueInsights,
+      cities,
+      baselineRepeatRate: round(baselineRepeatRate),
+      residencyRepeatRate: round(residencyRepeatRate),
+      avoidsRepeats,
+    };
+  },
+
+  /**
+   * Validates the upcoming show a prediction is for
+   * - date is required (YYYY-MM-DD); city, countryCode and venue are optional
+   * - showType defaults to "festival" when the venue name gives a festival
+   *   away, otherwise "headline"
+   *
+   * @param {Object} rawShow Show from the request body
+   * @returns {Object} { show, error } where show is null when invalid
+   */
+  normalizeShowTarget: (rawShow) => {
+    if (!rawShow || typeof rawShow !== 'object' || Array.isArray(rawShow)) {
+      return { show: null, error: 'Missing show to predict' };
+    }
+    const timestamp = parseFilterDate(rawShow.date);
+    if (timestamp === null || Number.isNaN(timestamp)) {
+      return { show: null, error: 'Invalid show date. Use YYYY-MM-DD.' };
+    }
+    const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    const countryCode = text(rawShow.countryCode)?.toUpperCase() || null;
+    if (countryCode && !/^[A-Z]{2}$/.test(countryCode)) {
+      return { show: null, error: 'countryCode must be a two-letter country code' };
+    }
+    if (rawShow.showType && !SHOW_TYPES.includes(rawShow.showType)) {
+      return { show: null, error: 'showType must be "headline" or "festival"' };
+    }
+    const venue = text(rawShow.venue);
+    return {
+      show: {
+        date: new Date(timestamp).toISOString().slice(0, 10),
+        city: text(rawShow.city),
+        countryCode,
+        venue,
+        showType: rawShow.showType || (getFestivalMatch(venue) ? 'festival' : 'headline'),
+      },
+      error: null,
+    };
+  },
+
+  /**
+   * Re-ranks a tour's songs for one upcoming show
+   * - Each past show is weighted by how close it is to the target date
+   *   (half-life PREDICTION_HALF_LIFE_DAYS), whether it was in the same
+   *   city / country / continent, and whether it was the same type of show
+   * - If the artist played the same city in the nights just before (a
+   *   multi-night run) and tends to avoid repeats, songs from those nights
+   *   are discounted by the tour's residency repeat rate
+   * - The set length is the median of shows of the same type
+   *
+   * @param {Array} allTourInfo All tour setlist data
+   * @param {Array} songsOrdered Tallied songs from getSongTally
+   * @param {Object} show Target show from normalizeShowTarget
+   * @returns {Object} { show, showLength, previousNights, repeatFactor, nearbyShows, songs }
+   *   where songs are songsOrdered with showProbability, most likely first
+   */
+  getShowPrediction: (allTourInfo, songsOrdered, show) => {
+    const shows = getDatedShows(allTourInfo);
+    const classified = classifyShows(allTourInfo);
+    const targetDate = parseFilterDate(show.date);
+    const targetCity = normalizePlaceName(show.city);
+    const targetContinent = getContinentForCountry(show.countryCode);
+    const datedShows = shows.filter((entry) => entry.date !== null);
+    const maxAge = Math.max(0, ...datedShows.map((entry) => Math.abs(targetDate - entry.date) / DAY_MS));
+
+    let totalWeight = 0;
+    let nearbyShows = 0;
+    const weightedPlays = new Map();
+    shows.forEach((entry) => {
+      const age = entry.date === null ? maxAge : Math.abs(targetDate - entry.date) / DAY_MS;
+      let weight = Math.pow(0.5, age / PREDICTION_HALF_LIFE_DAYS);
+      const countryCode = entry.setlist.venue?.city?.country?.code?.toUpperCase();
+      if (targetCity && normalizePlaceName(entry.details.city) === targetCity) {
+        weight *= PREDICTION_PLACE_WEIGHTS.city;
+        nearbyShows++;
+      } else if (show.countryCode && countryCode === show.countryCode) {
+        weight *= PREDICTION_PLACE_WEIGHTS.country;
+        nearbyShows++;
+      } else if (targetContinent && getContinentForCountry(countryCode) === targetContinent) {
+        weight *= PREDICTION_PLACE_WEIGHTS.continent;
+      }
+      if ((classified.get(entry.details.id)?.showType || 'headline') !== show.showType) {
+        weight *= PREDICTION_SHOW_TYPE_MISMATCH;
+      }
+      totalWeight += weight;
+      new Set(entry.songs.map((song) => song.key)).forEach((key) => {
+        weightedPlays.set(key, (weightedPlays.get(key) || 0) + weight);
+      });
+    });
+
+    // The run of nights in the same city leading up to the target date
+    const previousNights = [];
+    if (targetCity) {
+      let runStart = targetDate;
+      [...datedShows].reverse().forEach((entry) => {
+        if (entry.date < targetDate && (runStart - entry.date) / DAY_MS <= RESIDENCY_MAX_DAY_GAP &&
+          normalizePlaceName(entry.details.city) === targetCity) {
+          previousNights.unshift(entry);
+          runStart = entry.date;
+        }
+      });
+    }
+    let repeatFactor = 1;
+    if (previousNights.length > 0) {
+      const { baselineRepeatRate, residencyRepeatRate, avoidsRepeats } = getRepeatStats(shows);
+      if (avoidsRepeats && baselineRepeatRate) {
+        repeatFactor = Math.min(1, residencyRepeatRate / baselineRepeatRate);
+      }
+    }
+    const playedBefore = new Set(previousNights.flatMap((entry) => entry.songs.map((song) => song.key)));
+
+    const songs = (songsOrdered || [])
+      .map((entry) => {
+        const probability = totalWeight ? (weightedPlays.get(entry.key) || 0) / totalWeight : 0;
+        const playedPreviousNight = playedBefore.has(entry.key);
+        return {
+          ...entry,
+          showProbability: Math.round(probability * (playedPreviousNight ? repeatFactor : 1) * 100) / 100,
+          playedPreviousNight,
+        };
+      })
+      .sort((a, b) => b.showProbability - a.showProbability || b.count - a.count);
+
+    const sameTypeLengths = shows
+      .filter((entry) => (classified.get(entry.details.id)?.showType || 'headline') === show.showType)
+      .map((entry) => entry.songs.length);
+    const showLength = Math.round(median(sameTypeLengths.length ? sameTypeLengths : shows.map((entry) => entry.songs.length)));
+
+    devLogger.log('setlist', `Show prediction built`, {
+      show,
+      showsWeighted: shows.length,
+      nearbyShows,
+      previousNights: previousNights.length,
+      repeatFactor,
+      showLength,
+      top: songs.slice(0, 5).map((entry) => `${entry.song} (${entry.showProbability})`)
+    });
+
+    return {
+      show,
+      showLength,
+      previousNights: previousNights.map(({ details }) => ({
+        eventDate: details.eventDate,
+        venue: details.venue,
+        city: details.city,
+      })),
+      repeatFactor: Math.round(repeatFactor * 100) / 100,
+      nearbyShows,
+      songs,
+    };
+  },
+
+  /**
+   * Lists the shows on an artist page that haven't happened yet
+   * - Setlist.fm lists announced shows with empty sets
+   *
+   * @param {Object} artistPage Artist page from Setlist.fm
+   * @param {number} [now] Current time (ms), for testing
+   * @returns {Array} Upcoming shows ({ id, date, eventDate, venue, city, countryCode, tourName, showType }), soonest first
+   */
+  getUpcomingShows: (artistPage, now = Date.now()) => {
+    const today = new Date(now);
+    const todayUTC = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+    return (artistPage?.setlist || [])
+      .map((setlist) => ({ setlist, date: parseEventDate(setlist.eventDate) }))
+      .filter(({ date }) => date !== null && date >= todayUTC)
+      .sort(compareShowsByDate)
+      .map(({ setlist, date }) => ({
+        id: setlist.id,
+        date: new Date(date).toISOString().slice(0, 10),
+        eventDate: setlist.eventDate,
+        venue: setlist.venue?.name || null,
+        city: setlist.venue?.city?.name || null,
+        countryCode: setlist.venue?.city?.country?.code || null,
+        tourName: setlist.tour?.name || null,
+        showType: getFestivalMatch(setlist.venue?.name) ? 'festival' : 'headline',
+      }));
+  },
 };
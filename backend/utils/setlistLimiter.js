@@ -0,0 +1,16 @@
+const Bottleneck = require("bottleneck");
+
+/**
+ * Shared rate limiter for every Setlist.fm API request
+ * - One instance for live searches and background scans alike, so together
+ *   they stay within Setlist.fm's limits (16 requests per second with burst control)
+ */
+const setlistLimiter = new Bottleneck({
+  minTime: 63,                      // 16 requests per second (62.5ms rounded up)
+  maxConcurrent: 5,                 // Stay under the 8 concurrent limit
+  reservoir: 16,                    // Allow 16 requests per interval
+  reservoirRefreshInterval: 1000,   // Refill every 1 second
+  reservoirRefreshAmount: 16        // Refill to 16 requests
+});
+
+module.exports = setlistLimiter;
@@ -0,0 +1,80 @@
+/**
+ * Setlist Page Cache
+ * Caches individual Setlist.fm search/setlists pages for a tour so repeat searches
+ * don't re-download every page
+ * - Setlist.fm sorts results newest first, so page 1 is the only page new shows land on;
+ *   it gets a short TTL while older pages are kept much longer
+ * - A new show shifts every later page by one, so older pages are only reused while
+ *   their result total still matches a fresh page 1
+ */
+
+const CACHE_PREFIX = 'setlistpage:';
+const CACHE_VERSION = 'v1'; // bump when the cached page format changes
+const RECENT_PAGE_TTL = 60 * 60; // 1 hour for page 1, where new shows appear
+const OLDER_PAGE_TTL = 7 * 24 * 60 * 60; // 7 days for older pages
+
+/**
+ * Generate a cache key for one page of a tour's setlists
+ * @param {string} artistName - The artist name
+ * @param {string} mbid - MusicBrainz ID (optional but preferred for uniqueness)
+ * @param {string} tourName - Tour name as sent to Setlist.fm
+ * @param {number} page - Page number (1-based)
+ * @returns {string} Cache key
+ */
+function generatePageKey(artistName, mbid, tourName, page) {
+  const artistKey = mbid || artistName.toLowerCase().replace(/\s+/g, '_');
+  const tourKey = tourName.toLowerCase().replace(/\s+/g, '_');
+  return `${CACHE_PREFIX}${CACHE_VERSION}:${artistKey}:${tourKey}:${page}`;
+}
+
+/**
+ * Get a cached setlist page from the cache
+ * @param {Object} cache - Cache store
+ * @param {string} artistName - The artist name
+ * @param {string} mbid - MusicBrainz ID (optional)
+ * @param {string} tourName - Tour name
+ * @param {number} page - Page number (1-based)
+ * @returns {Promise<Object|null>} Cached page data or null if not found/expired
+ */
+async function getCachedSetlistPage(cache, artistName, mbid, tourName, page) {
+  try {
+    const cachedData = await cache.get(generatePageKey(artistName, mbid, tourName, page));
+    return cachedData ? JSON.parse(cachedData) : null;
+  } catch (error) {
+    console.error('Error retrieving cached setlist page:', error);
+    return null; // Return null on error to allow fallback to API
+  }
+}
+
+/**
+ * Store a setlist page in the cache
+ * - Page 1 gets the short TTL, every other page the long one
+ * @param {Object} cache - Cache store
+ * @param {string} artistName - The artist name
+ * @param {string} mbid - MusicBrainz ID (optional)
+ * @param {string} tourName - Tour name
+ * @param {number} page - Page number (1-based)
+ * @param {Object} pageData - search/setlists response body to cache
+ * @returns {Promise<boolean>} Success status
+ */
+async function cacheSetlistPage(cache, artistName, mbid, tourName, page, pageData) {
+  try {
+    const ttl = page === 1 ? RECENT_PAGE_TTL : OLDER_PAGE_TTL;
+    await cache.setEx(
+      generatePageKey(artistName, mbid, tourName, page),
+      ttl,
+      JSON.stringify(pageData)
+    );
+    return true;
+  } catch (error) {
+    console.error('Error caching setlist page:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  getCachedSetlistPage,
+  cacheSetlistPage,
+  RECENT_PAGE_TTL,
+  OLDER_PAGE_TTL
+};
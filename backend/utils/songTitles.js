@@ -0,0 +1,130 @@
+/**
+ * Curated per-artist aliases for song titles that normalization alone can't merge
+ * - Keyed by artist name, then by the alias as it shows up on setlist.fm
+ * - Both sides are normalized when the lookup table is built
+ */
+const SONG_ALIASES = {
+  "Grateful Dead": {
+    "NFA": "Not Fade Away",
+    "GDTRFB": "Goin' Down the Road Feeling Bad",
+    "Goin' Down the Road": "Goin' Down the Road Feeling Bad",
+  },
+  "Phish": {
+    "Tweeprise": "Tweezer Reprise",
+    "Hood": "Harry Hood",
+  },
+  "Pearl Jam": {
+    "Yellow Ledbetter Jam": "Yellow Ledbetter",
+  },
+};
+
+// Last "(...)" or "[...]" group at the end of a title
+const TRAILING_PARENTHETICAL = /\s*[([]([^)\]]*)[)\]]\s*$/;
+// Whole notes that only describe how a song was performed, never which song
+// it is; "(Reprise)", "(Intro)" or "(Part 2)" name a different song and stay
+const PERFORMANCE_NOTE_PATTERN = /^(?:acoustic|live|unplugged|stripped(?: down)?|snippet|tease|partial|abbreviated|shortened|unfinished)(?: version)?$/i;
+
+/**
+ * Splits a title into its base and the trailing performance notes
+ * - Only notes like "(acoustic)" or "[live]" are split off, possibly several in
+ *   a row; "(Reprise)", "(Part 2)" or "(Blue Album)" stay part of the title
+ *
+ * @param {string} title Raw song title from Setlist.fm
+ * @returns {Object} { base, notes } - notes in title order, without brackets
+ */
+function splitPerformanceNotes(title) {
+  let base = title || "";
+  const notes = [];
+  let match = base.match(TRAILING_PARENTHETICAL);
+  while (match) {
+    const note = match[1].replace(/\s+/g, " ").trim();
+    if (!PERFORMANCE_NOTE_PATTERN.test(note)) {
+      break;
+    }
+    notes.unshift(note);
+    base = base.slice(0, match.index);
+    match = base.match(TRAILING_PARENTHETICAL);
+  }
+  return { base, notes };
+}
+
+/**
+ * Strips trailing performance notes and extra whitespace from a song title
+ * - Keeps the original title if nothing would be left
+ *
+ * @param {string} title Raw song title from Setlist.fm
+ * @returns {string} Cleaned title for display
+ */
+function cleanSongTitle(title) {
+  if (!title) return "";
+  const cleaned = splitPerformanceNotes(title).base.replace(/\s+/g, " ").trim();
+  return cleaned || title.trim();
+}
+
+/**
+ * Returns the trailing performance notes stripped by cleanSongTitle
+ * - e.g. "acoustic" for "Wonderwall (acoustic)"
+ *
+ * @param {string} title Raw song title from Setlist.fm
+ * @returns {string} Notes text without brackets ("" if none)
+ */
+function getSongTitleNotes(title) {
+  return splitPerformanceNotes(title).notes.join("; ");
+}
+
+/**
+ * Normalizes a song title for matching
+ * - Lowercase, no diacritics, no punctuation, no trailing performance notes
+ * - "&" and "and" are treated the same
+ * - Titles that are all punctuation ("?", "!!!") fall back to the lowercased
+ *   raw title, so they don't all share an empty key
+ *
+ * @param {string} title Song title
+ * @returns {string} Normalized title
+ */
+function normalizeSongTitle(title) {
+  const cleaned = cleanSongTitle(title);
+  const normalized = cleaned
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return normalized || cleaned.toLowerCase().replace(/\s+/g, " ");
+}
+
+// Normalized artist -> normalized alias -> canonical title
+const aliasLookup = new Map(
+  Object.entries(SONG_ALIASES).map(([artist, aliases]) => [
+    normalizeSongTitle(artist),
+    new Map(
+      Object.entries(aliases).map(([alias, canonical]) => [normalizeSongTitle(alias), canonical])
+    ),
+  ])
+);
+
+/**
+ * Resolves a raw setlist.fm title to the entry it should be counted under
+ * - Applies the artist's alias table first, then normalization
+ *
+ * @param {string} artist Artist the song is credited to
+ * @param {string} title Raw song title from Setlist.fm
+ * @returns {Object} { key: "artist|normalized title", title: cleaned display title }
+ */
+function resolveSongTitle(artist, title) {
+  const normalized = normalizeSongTitle(title);
+  const canonical = aliasLookup.get(normalizeSongTitle(artist))?.get(normalized);
+  return canonical
+    ? { key: `${artist}|${normalizeSongTitle(canonical)}`, title: canonical }
+    : { key: `${artist}|${normalized}`, title: cleanSongTitle(title) };
+}
+
+module.exports = {
+  cleanSongTitle,
+  getSongTitleNotes,
+  normalizeSongTitle,
+  resolveSongTitle,
+  SONG_ALIASES
+};
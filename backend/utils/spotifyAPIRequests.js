@@ -5,6 +5,7 @@ const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const devLogger = require('../utils/devLogger');
 const { axiosWithRetry } = require('./httpRetry');
+const { getCachedTrackMatches, cacheTrackMatch } = require('./spotifyTrackCache');
 const limiter = new Bottleneck({
   minTime: 100,         // 10 requests per second (extended quota mode)
   maxConcurrent: 8,     // Higher concurrent requests for song searches
@@ -182,6 +183,56 @@ const isCompilationAlbum = (albumName) => {
   return compilationIndicators.some(indicator => albumName.includes(indicator));
 };
 
+/**
+ * Strips version suffixes from a Spotify track name for matching
+ * - "Karma Police - Remastered 2017" and "Karma Police (Live)" both become "karma police"
+ * 
+ * @param {string} trackName Spotify track name
+ * @returns {string} Base track name
+ */
+const getBaseTrackName = (trackName) => {
+  return (trackName || '')
+    .toLowerCase()
+    .replace(/\s+-\s+.*$/, '')
+    .replace(/\s*[([][^)\]]*[)\]]\s*$/, '')
+    .trim();
+};
+
+/**
+ * Finds the earliest release of the chosen track among the search results
+ * - Re-releases, remasters and compilations carry later dates, so the
+ *   earliest studio release is the song's original album
+ * - Live albums and compilations are only used when nothing else matches
+ * 
+ * @param {Array} tracks Array of track objects from Spotify
+ * @param {Object} bestTrack Track picked by selectBestTrack
+ * @returns {Object} { albumName, releaseDate } of the earliest release
+ */
+const getEarliestRelease = (tracks, bestTrack) => {
+  const baseName = getBaseTrackName(bestTrack.name);
+  const artistId = bestTrack.artists?.[0]?.id;
+  const matches = tracks.filter((track) =>
+    getBaseTrackName(track.name) === baseName &&
+    track.artists?.[0]?.id === artistId &&
+    track.album?.release_date
+  );
+  const isOriginal = (track) => {
+    const albumName = track.album.name.toLowerCase();
+    return track.album.album_type !== 'compilation' && !isLiveAlbum(albumName) && !isCompilationAlbum(albumName);
+  };
+  const originals = matches.filter(isOriginal);
+  const candidates = originals.length > 0 ? originals : matches;
+  // Spotify dates are "YYYY", "YYYY-MM" or "YYYY-MM-DD", which sort as strings
+  const earliest = candidates.reduce(
+    (first, track) => (track.album.release_date < first.album.release_date ? track : first),
+    candidates[0] || bestTrack
+  );
+  return {
+    albumName: earliest.album?.name,
+    releaseDate: earliest.album?.release_date,
+  };
+};
+
 /**
  * Searches for a specific song on Spotify
  * - Handles special cases like "ultraviolet"/"ultra violet"
@@ -237,6 +288,7 @@ const searchSong = async (token, artistName, trackName) => {
           selectedAlbum: bestTrack.album.name,
           albumType: bestTrack.album.album_type
         });
+        response.data.originalRelease = getEarliestRelease(response.data.tracks.items, bestTrack);
         // Return the best track as the first (and only) result
         response.data.tracks.items = [bestTrack];
       }
@@ -253,18 +305,40 @@ const searchSong = async (token, artistName, trackName) => {
 // Rate limit the searchSong function to avoid hitting Spotify API limits
 const limitedSearchSong = limiter.wrap(searchSong);
 
+/**
+ * Picks the fields kept for a song from its Spotify search result
+ * - This is also what the track cache stores
+ * 
+ * @param {Object} data Search result from searchSong
+ * @returns {Object} Spotify fields for the song (all undefined if no match)
+ */
+const getTrackMatch = (data) => ({
+  songName: data.tracks.items[0]?.name,
+  artistName: data.tracks.items[0]?.artists[0]?.name,
+  image: data.tracks.items[0]?.album?.images?.find((img) => img.height === 64),
+  imageMed: data.tracks.items[0]?.album?.images?.find((img) => img.height === 300),
+  albumName: data.tracks.items[0]?.album?.name,
+  albumReleaseDate: data.tracks.items[0]?.album?.release_date,
+  // Earliest release of the song, for grouping by album/era
+  originalAlbumName: data.originalRelease?.albumName,
+  originalReleaseDate: data.originalRelease?.releaseDate,
+  uri: data.tracks.items[0]?.uri,
+});
+
 /**
  * Gets Spotify information for a list of songs with progress updates
  * - Looks up each song on Spotify
  * - Formats and combines with original song data
  * - Provides progress updates via callback
+ * - With a cache store, cached matches skip the Spotify search entirely
  * 
  * @param {Array} songList List of songs to look up
  * @param {Function} progressCallback Optional callback for progress updates
+ * @param {Object} [cache] Cache store for the track cache
  * @returns {Array} Songs with Spotify data
  * @async
  */
-const getSpotifySongInfo = async (songList, progressCallback = null) => {
+const getSpotifySongInfo = async (songList, progressCallback = null, cache = null) => {
   logger.info("Compiling Spotify song information");
 
   devLogger.log('spotify', `Starting Spotify song lookup batch`, {
@@ -277,7 +351,12 @@ const getSpotifySongInfo = async (songList, progressCallback = null) => {
   });
 
   try {
-    const token = await getAccessToken();
+    const cachedMatches = cache
+      ? await getCachedTrackMatches(cache, songList)
+      : songList.map(() => null);
+    const cachedCount = cachedMatches.filter(Boolean).length;
+    // Only ask for a token if something actually needs searching
+    const token = cachedCount < songList.length ? await getAccessToken() : null;
 
     // Initial progress update - starting song search
     if (progressCallback) {
@@ -292,6 +371,7 @@ const getSpotifySongInfo = async (songList, progressCallback = null) => {
     const batchSize = 5; // Process songs in batches for better progress reporting
     const batches = Math.ceil(totalSongs / batchSize);
     const spotifyDataParsed = [];
+    const cacheText = cachedCount > 0 ? `, ${cachedCount} from cache` : '';
 
     // Process songs in batches with progress updates
     for (let i = 0; i < batches; i++) {
@@ -306,14 +386,24 @@ const getSpotifySongInfo = async (songList, progressCallback = null) => {
         const songsProcessed = Math.min((i + 1) * batchSize, totalSongs);
         progressCallback({
           stage: 'spotify_search',
-          message: `Looking up tracks (${songsProcessed}/${totalSongs})...`,
+          message: `Looking up tracks (${songsProcessed}/${totalSongs}${cacheText})...`,
           progress
         });
       }
 
-      // Process this batch
-      const promises = currentBatch.map((song) => {
-        return limitedSearchSong(token, song.artist, song.song);
+      // Process this batch, searching only songs that weren't cached
+      const promises = currentBatch.map((song, idx) => {
+        const cached = cachedMatches[start + idx];
+        if (cached) {
+          return Promise.resolve(cached.noMatch ? {} : cached);
+        }
+        return limitedSearchSong(token, song.artist, song.song).then(async (data) => {
+          const match = getTrackMatch(data);
+          if (cache) {
+            await cacheTrackMatch(cache, song.artist, song.song, match);
+          }
+          return match;
+        });
       });
 
       // Use allSettled to handle individual failures gracefully
@@ -323,18 +413,7 @@ const getSpotifySongInfo = async (songList, progressCallback = null) => {
       batchResponses.forEach((result, idx) => {
         const songIndex = start + idx;
         if (result.status === 'fulfilled') {
-          const data = result.value;
-          const obj = {
-            songName: data.tracks.items[0]?.name,
-            artistName: data.tracks.items[0]?.artists[0]?.name,
-            image: data.tracks.items[0]?.album?.images?.find((img) => img.height === 64),
-            imageMed: data.tracks.items[0]?.album?.images?.find((img) => img.height === 300),
-            albumName: data.tracks.items[0]?.album?.name,
-            albumReleaseDate: data.tracks.items[0]?.album?.release_date,
-            uri: data.tracks.items[0]?.uri,
-            id: uuidv4(),
-          };
-          spotifyDataParsed.push({ ...obj, ...songList[songIndex] });
+          spotifyDataParsed.push({ ...result.value, id: uuidv4(), ...songList[songIndex] });
         } else {
           // Include failed songs without Spotify data
           logger.warn(`Failed to fetch Spotify data for: ${songList[songIndex].song} by ${songList[songIndex].artist}`, result.reason?.message);
@@ -352,7 +431,7 @@ const getSpotifySongInfo = async (songList, progressCallback = null) => {
     if (progressCallback) {
       progressCallback({
         stage: 'spotify_search',
-        message: 'All songs processed!',
+        message: `All songs processed!${cachedCount > 0 ? ` (${cachedCount} from cache)` : ''}`,
         progress: 100
       });
     }
@@ -364,6 +443,7 @@ const getSpotifySongInfo = async (songList, progressCallback = null) => {
       totalSongs: songList.length,
       foundOnSpotify: foundCount,
       notFoundOnSpotify: missingCount,
+      fromCache: cachedCount,
       successRate: `${Math.round((foundCount / songList.length) * 100)}%`,
       missingSongs: spotifyDataParsed.filter(song => !song.songName).slice(0, 5).map(song => ({
         song: song.song,
@@ -0,0 +1,83 @@
+/**
+ * Spotify Track Cache
+ * Caches the Spotify match for each live song (artist + title) so repeat searches
+ * skip the Spotify search API
+ * - Matches are kept for a long time; "no match" results are cached too, but expire
+ *   sooner in case the song shows up on Spotify later
+ */
+
+const CACHE_PREFIX = 'spotifytrack:';
+const CACHE_VERSION = 'v2'; // bump when the cached match format or key changes
+const MATCH_TTL = 30 * 24 * 60 * 60; // 30 days for resolved matches
+const NO_MATCH_TTL = 24 * 60 * 60; // 1 day for songs Spotify had no match for
+
+/**
+ * Folds case and whitespace only
+ * - Not normalizeSongTitle: that merges titles for the tally ("Intro (Live)" and
+ *   "Intro"), but each title is searched on Spotify as written
+ * @param {string} value - Artist name or song title
+ * @returns {string} Folded value
+ */
+function foldKeyPart(value) {
+  return (value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Generate a cache key for a song's Spotify match
+ * @param {string} artistName - Artist the song is credited to
+ * @param {string} songName - Song title from Setlist.fm
+ * @returns {string} Cache key
+ */
+function generateTrackKey(artistName, songName) {
+  return `${CACHE_PREFIX}${CACHE_VERSION}:${foldKeyPart(artistName)}|${foldKeyPart(songName)}`;
+}
+
+/**
+ * Get cached Spotify matches for a list of songs in one round trip
+ * @param {Object} cache - Cache store
+ * @param {Array} songs - Songs to look up ({ artist, song })
+ * @returns {Promise<Array>} Cached match (or { noMatch: true }) per song, null where not cached
+ */
+async function getCachedTrackMatches(cache, songs) {
+  if (songs.length === 0) return [];
+  try {
+    const cachedData = await cache.mGet(
+      songs.map((song) => generateTrackKey(song.artist, song.song))
+    );
+    return cachedData.map((entry) => (entry ? JSON.parse(entry) : null));
+  } catch (error) {
+    console.error('Error retrieving cached Spotify matches:', error);
+    return songs.map(() => null); // Fall back to searching every song
+  }
+}
+
+/**
+ * Store a song's Spotify match in the cache
+ * - A match without a uri is stored as { noMatch: true } with the shorter TTL
+ * @param {Object} cache - Cache store
+ * @param {string} artistName - Artist the song is credited to
+ * @param {string} songName - Song title from Setlist.fm
+ * @param {Object} match - Spotify fields for the song (uri, album, images, release dates)
+ * @returns {Promise<boolean>} Success status
+ */
+async function cacheTrackMatch(cache, artistName, songName, match) {
+  try {
+    const found = Boolean(match?.uri);
+    await cache.setEx(
+      generateTrackKey(artistName, songName),
+      found ? MATCH_TTL : NO_MATCH_TTL,
+      JSON.stringify(found ? match : { noMatch: true })
+    );
+    return true;
+  } catch (error) {
+    console.error('Error caching Spotify match:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  getCachedTrackMatches,
+  cacheTrackMatch,
+  MATCH_TTL,
+  NO_MATCH_TTL
+};
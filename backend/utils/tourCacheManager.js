@@ -1,38 +1,43 @@
 /**
- * Tour Cache Manager for Redis
+ * Tour Cache Manager
+ * - Stores through the app's cache store (Redis or in-memory, see cacheStore.js)
  * Handles caching of tour data from Setlist.fm API to reduce API calls and improve performance
  */
 
 const CACHE_PREFIX = 'tours:';
-const CACHE_VERSION = 'v2'; // bump when cached schema/aggregation changes
+const SONG_HISTORY_PREFIX = 'songhistory:';
+const CACHE_VERSION = 'v7'; // bump when cached schema/aggregation changes
 const DEFAULT_TTL = 7 * 24 * 60 * 60; // 7 days in seconds (reasonable for tour data that doesn't change frequently)
+const FRESHNESS_WINDOW = 24 * 60 * 60; // 1 day; older tour lists are served but refreshed in the background
 
 /**
  * Generate a cache key for an artist's tour data
  * @param {string} artistName - The artist name
  * @param {string} mbid - MusicBrainz ID (optional but preferred for uniqueness)
+ * @param {string} prefix - Key prefix (defaults to the tour list prefix)
  * @returns {string} Cache key
  */
-function generateCacheKey(artistName, mbid = null) {
+function generateCacheKey(artistName, mbid = null, prefix = CACHE_PREFIX) {
   const baseKey = mbid || artistName.toLowerCase().replace(/\s+/g, '_');
-  return `${CACHE_PREFIX}${CACHE_VERSION}:${baseKey}`;
+  return `${prefix}${CACHE_VERSION}:${baseKey}`;
 }
 
 /**
- * Get cached tour data from Redis
- * @param {Object} redisClient - Redis client instance
+ * Get the cached tour list entry from the cache, with its freshness
+ * @param {Object} cache - Cache store
  * @param {string} artistName - The artist name
  * @param {string} mbid - MusicBrainz ID (optional)
- * @returns {Promise<Array|null>} Cached tour data or null if not found/expired
+ * @returns {Promise<Object|null>} { tours, fetchedAt, recentSetlists, stale } or null if not found/expired
  */
-async function getCachedTours(redisClient, artistName, mbid = null) {
+async function getCachedTourEntry(cache, artistName, mbid = null) {
   try {
     const cacheKey = generateCacheKey(artistName, mbid);
-    const cachedData = await redisClient.get(cacheKey);
+    const cachedData = await cache.get(cacheKey);
 
     if (cachedData) {
       console.log(`Cache hit for artist tours: ${artistName} (${mbid || 'no mbid'})`);
-      return JSON.parse(cachedData);
+      const entry = JSON.parse(cachedData);
+      return { ...entry, stale: Date.now() - entry.fetchedAt > FRESHNESS_WINDOW * 1000 };
     }
 
     console.log(`Cache miss for artist tours: ${artistName} (${mbid || 'no mbid'})`);
@@ -44,21 +49,37 @@ async function getCachedTours(redisClient, artistName, mbid = null) {
 }
 
 /**
- * Store tour data in Redis cache
- * @param {Object} redisClient - Redis client instance
+ * Get cached tour data from the cache
+ * @param {Object} cache - Cache store
+ * @param {string} artistName - The artist name
+ * @param {string} mbid - MusicBrainz ID (optional)
+ * @returns {Promise<Array|null>} Cached tour data or null if not found/expired
+ */
+async function getCachedTours(cache, artistName, mbid = null) {
+  const entry = await getCachedTourEntry(cache, artistName, mbid);
+  return entry ? entry.tours : null;
+}
+
+/**
+ * Store tour data in the cache
+ * - Stamped with the fetch time so stale lists can be refreshed
+ * @param {Object} cache - Cache store
  * @param {string} artistName - The artist name
  * @param {string} mbid - MusicBrainz ID (optional)
  * @param {Array} tours - Tour data to cache
  * @param {number} ttl - Time to live in seconds (optional)
+ * @param {Array<Object>} recentSetlists - Records ({ id, lastUpdated, tourName, eventDate,
+ *   songKeys }) of the setlists on the newest pages, so a refresh can tell which
+ *   shows are new or were edited (optional)
  * @returns {Promise<boolean>} Success status
  */
-async function cacheTours(redisClient, artistName, mbid = null, tours, ttl = DEFAULT_TTL) {
+async function cacheTours(cache, artistName, mbid = null, tours, ttl = DEFAULT_TTL, recentSetlists = []) {
   try {
     const cacheKey = generateCacheKey(artistName, mbid);
-    const dataToCache = JSON.stringify(tours);
+    const dataToCache = JSON.stringify({ tours, fetchedAt: Date.now(), recentSetlists });
 
-    // Store with expiration (Redis v4 syntax)
-    await redisClient.setEx(cacheKey, ttl, dataToCache);
+    // Store with expiration
+    await cache.setEx(cacheKey, ttl, dataToCache);
 
     console.log(`Cached tour data for ${artistName} (${mbid || 'no mbid'}) with TTL ${ttl}s`);
     return true;
@@ -70,15 +91,15 @@ async function cacheTours(redisClient, artistName, mbid = null, tours, ttl = DEF
 
 /**
  * Invalidate cached tour data
- * @param {Object} redisClient - Redis client instance
+ * @param {Object} cache - Cache store
  * @param {string} artistName - The artist name
  * @param {string} mbid - MusicBrainz ID (optional)
  * @returns {Promise<boolean>} Success status
  */
-async function invalidateTourCache(redisClient, artistName, mbid = null) {
+async function invalidateTourCache(cache, artistName, mbid = null) {
   try {
     const cacheKey = generateCacheKey(artistName, mbid);
-    const result = await redisClient.del(cacheKey);
+    const result = await cache.del(cacheKey);
 
     if (result === 1) {
       console.log(`Invalidated cache for ${artistName} (${mbid || 'no mbid'})`);
@@ -93,15 +114,15 @@ async function invalidateTourCache(redisClient, artistName, mbid = null) {
 
 /**
  * Get remaining TTL for cached tour data
- * @param {Object} redisClient - Redis client instance
+ * @param {Object} cache - Cache store
  * @param {string} artistName - The artist name
  * @param {string} mbid - MusicBrainz ID (optional)
  * @returns {Promise<number>} TTL in seconds, or -1 if not found
  */
-async function getTourCacheTTL(redisClient, artistName, mbid = null) {
+async function getTourCacheTTL(cache, artistName, mbid = null) {
   try {
     const cacheKey = generateCacheKey(artistName, mbid);
-    const ttl = await redisClient.ttl(cacheKey);
+    const ttl = await cache.ttl(cacheKey);
     return ttl;
   } catch (error) {
     console.error('Error getting tour cache TTL:', error);
@@ -109,10 +130,62 @@ async function getTourCacheTTL(redisClient, artistName, mbid = null) {
   }
 }
 
+/**
+ * Get an artist's cached song history (every song's play dates across all tours)
+ * - Built by fetchAllToursFromAPI during the full-history scan
+ * @param {Object} cache - Cache store
+ * @param {string} artistName - The artist name
+ * @param {string} mbid - MusicBrainz ID (optional)
+ * @returns {Promise<Object|null>} { showDates, songs, songInfo } or null if not found/expired
+ */
+async function getCachedSongHistory(cache, artistName, mbid = null) {
+  try {
+    const cacheKey = generateCacheKey(artistName, mbid, SONG_HISTORY_PREFIX);
+    const cachedData = await cache.get(cacheKey);
+
+    if (cachedData) {
+      console.log(`Cache hit for song history: ${artistName} (${mbid || 'no mbid'})`);
+      return JSON.parse(cachedData);
+    }
+
+    console.log(`Cache miss for song history: ${artistName} (${mbid || 'no mbid'})`);
+    return null;
+  } catch (error) {
+    console.error('Error retrieving cached song history:', error);
+    return null;
+  }
+}
+
+/**
+ * Store an artist's song history in the cache
+ * @param {Object} cache - Cache store
+ * @param {string} artistName - The artist name
+ * @param {string} mbid - MusicBrainz ID (optional)
+ * @param {Object} songHistory - { showDates, songs, songInfo } to cache
+ * @param {number} ttl - Time to live in seconds (optional)
+ * @returns {Promise<boolean>} Success status
+ */
+async function cacheSongHistory(cache, artistName, mbid = null, songHistory, ttl = DEFAULT_TTL) {
+  try {
+    const cacheKey = generateCacheKey(artistName, mbid, SONG_HISTORY_PREFIX);
+    await cache.setEx(cacheKey, ttl, JSON.stringify(songHistory));
+
+    console.log(`Cached song history for ${artistName} (${mbid || 'no mbid'}) with TTL ${ttl}s`);
+    return true;
+  } catch (error) {
+    console.error('Error caching song history:', error);
+    return false;
+  }
+}
+
 module.exports = {
   getCachedTours,
+  getCachedTourEntry,
   cacheTours,
+  getCachedSongHistory,
+  cacheSongHistory,
   invalidateTourCache,
   getTourCacheTTL,
-  DEFAULT_TTL
+  DEFAULT_TTL,
+  FRESHNESS_WINDOW
 };
\ No newline at end of file
@@ -1,79 +1,376 @@
 const axios = require('axios');
-const Bottleneck = require('bottleneck');
 const { axiosRequestWithRetry } = require('./httpRetry');
-const { getCachedTours, cacheTours } = require('./tourCacheManager');
+const {
+  getCachedTours, getCachedTourEntry, cacheTours, getCachedSongHistory, cacheSongHistory, DEFAULT_TTL
+} = require('./tourCacheManager');
+const { getShowSongs } = require('./setlistFormatData');
+// Setlist.fm rate limiter, shared with live searches
+const limiter = require('./setlistLimiter');
 
-// Rate limiter for Setlist.fm API (16 requests per second with burst control)
-const limiter = new Bottleneck({
-  minTime: 63,                      // 16 requests per second (62.5ms rounded up)
-  maxConcurrent: 7,                 // Stay under the 8 concurrent limit
-  reservoir: 16,                    // Allow 16 requests per interval
-  reservoirRefreshInterval: 1000,   // Refill every 1 second
-  reservoirRefreshAmount: 16        // Refill to 16 requests
-});
+// Artists with no setlists get an empty song history, kept for 1 hour so
+// searches don't rescan them every time
+const EMPTY_HISTORY_TTL = 60 * 60;
+
+// Stale tour lists are refreshed from the newest 3 pages (60 setlists) only;
+// setlist.fm sorts newest first, so that is where new shows land
+const REFRESH_PAGES = 3;
+
+// Background refreshes in flight, by artist, so concurrent requests share one
+const tourRefreshes = new Map();
 
 /**
  * Fetches all tours for an artist by paginating through their setlists
  * and extracting unique tour information with years
+ * - Also records every song's play dates across the artist's full history
+ *   and caches it alongside the tours (used for debut/bust-out detection)
  * @param {string} artistName - The artist name to search for
  * @param {string} mbid - Optional MusicBrainz ID for more accurate matching
  * @param {function} onProgress - Optional callback for progress updates
- * @param {Object} redisClient - Optional Redis client for caching
+ * @param {Object} cache - Optional cache store
  * @returns {Promise<Array>} Array of tour objects with name, year, and show count
  */
-async function fetchAllToursFromAPI(artistName, mbid = null, onProgress = null, redisClient = null) {
-  // Check cache first if Redis client is provided
-  if (redisClient) {
-    const cachedTours = await getCachedTours(redisClient, artistName, mbid);
-    if (cachedTours) {
-      console.log(`Returning cached tours for ${artistName}`);
-      return cachedTours;
+async function fetchAllToursFromAPI(artistName, mbid = null, onProgress = null, cache = null) {
+  const { tours } = await getToursWithRevalidation(artistName, mbid, onProgress, cache);
+  return tours;
+}
+
+/**
+ * Fetches all tours for an artist, serving the cache while revalidating it
+ * - A cached list older than the freshness window is returned right away and
+ *   refreshed in the background from the newest pages only
+ * - Without a cached list, runs the full scan (same as fetchAllToursFromAPI)
+ * @param {string} artistName - The artist name to search for
+ * @param {string} mbid - Optional MusicBrainz ID for more accurate matching
+ * @param {function} onProgress - Optional callback for progress updates
+ * @param {Object} cache - Optional cache store
+ * @returns {Promise<Object>} { tours, stale, refreshing, fetchedAt }
+ */
+async function getToursWithRevalidation(artistName, mbid = null, onProgress = null, cache = null) {
+  // Check cache first if a cache store is provided
+  if (cache) {
+    const entry = await getCachedTourEntry(cache, artistName, mbid);
+    if (entry) {
+      console.log(`Returning cached tours for ${artistName}${entry.stale ? ' (stale)' : ''}`);
+      if (entry.stale) {
+        startTourRefresh(artistName, mbid, cache, entry);
+      }
+      return {
+        tours: entry.tours,
+        stale: entry.stale,
+        refreshing: entry.stale,
+        fetchedAt: entry.fetchedAt
+      };
     }
   }
-  const tours = new Map(); // Use Map to track unique tours by name (aggregate across years)
-  const SETLIST_API_KEY = process.env.SETLIST_API_KEY;
 
-  if (!SETLIST_API_KEY) {
-    throw new Error('SETLIST_API_KEY environment variable is not set');
+  const { tourArray, songHistory, recentSetlists } = await scanArtistSetlists(artistName, mbid, onProgress);
+  if (cache) {
+    await cacheScanResults(cache, artistName, mbid, tourArray, songHistory, recentSetlists);
   }
+  return { tours: tourArray, stale: false, refreshing: false, fetchedAt: Date.now() };
+}
 
-  const headers = {
-    'x-api-key': SETLIST_API_KEY,
-    'Accept': 'application/json'
+/**
+ * Waits for an artist's background tour refresh, if one is running, and
+ * returns the cached tour list afterwards
+ * @param {string} artistName - The artist name
+ * @param {string} mbid - MusicBrainz ID (optional)
+ * @param {Object} cache - Cache store
+ * @returns {Promise<Object|null>} { tours, stale, fetchedAt } or null if nothing is cached
+ */
+async function waitForTourRefresh(artistName, mbid, cache) {
+  const refresh = tourRefreshes.get(getRefreshKey(artistName, mbid));
+  if (refresh) {
+    await refresh;
+  }
+  const entry = await getCachedTourEntry(cache, artistName, mbid);
+  return entry ? { tours: entry.tours, stale: entry.stale, fetchedAt: entry.fetchedAt } : null;
+}
+
+/**
+ * Key for the in-flight refresh map (matches the cache key's artist part)
+ */
+function getRefreshKey(artistName, mbid) {
+  return mbid || artistName.toLowerCase().replace(/\s+/g, '_');
+}
+
+/**
+ * Starts a background refresh of a stale tour list unless one is already running
+ * - Errors are logged; the stale list stays cached and is retried next time
+ * @param {string} artistName - The artist name
+ * @param {string} mbid - MusicBrainz ID (optional)
+ * @param {Object} cache - Cache store
+ * @param {Object} entry - Stale cache entry from getCachedTourEntry
+ */
+function startTourRefresh(artistName, mbid, cache, entry) {
+  const key = getRefreshKey(artistName, mbid);
+  if (tourRefreshes.has(key)) {
+    return;
+  }
+  const refresh = refreshTourCache(artistName, mbid, cache, entry)
+    .catch((error) => {
+      console.error(`Error refreshing tours for ${artistName}:`, error.message);
+    })
+    .finally(() => {
+      tourRefreshes.delete(key);
+    });
+  tourRefreshes.set(key, refresh);
+}
+
+/**
+ * Refreshes a cached tour list from the newest pages of setlists
+ * - Shows not among the cached list's newest setlists are merged into the tours
+ *   and the cached song history
+ * - Known shows whose lastUpdated changed (e.g. an announced date that now has
+ *   its songs or tour name) replace what they contributed before
+ * - Known shows missing from the dates the newest pages cover were deleted on
+ *   setlist.fm, so what they contributed is taken back out
+ * - Lists cached without setlist records can't be merged, so they get a full rescan
+ * @param {string} artistName - The artist name
+ * @param {string} mbid - MusicBrainz ID (optional)
+ * @param {Object} cache - Cache store
+ * @param {Object} entry - Stale cache entry from getCachedTourEntry
+ * @returns {Promise<void>}
+ */
+async function refreshTourCache(artistName, mbid, cache, entry) {
+  if (!entry.recentSetlists?.length) {
+    const { tourArray, songHistory, recentSetlists } = await scanArtistSetlists(artistName, mbid);
+    await cacheScanResults(cache, artistName, mbid, tourArray, songHistory, recentSetlists);
+    return;
+  }
+
+  const knownSetlists = new Map(entry.recentSetlists.map((record) => [record.id, record]));
+  const newestSetlists = [];
+  let totalPages = 1;
+  let fetchedPages = 0;
+  for (let page = 1; page <= Math.min(REFRESH_PAGES, totalPages); page++) {
+    const data = await fetchSetlistPage(artistName, mbid, page);
+    if (!data || typeof data.total === 'undefined' || typeof data.itemsPerPage === 'undefined') {
+      break;
+    }
+    totalPages = Math.ceil(data.total / data.itemsPerPage);
+    newestSetlists.push(...(data.setlist || []));
+    fetchedPages++;
+  }
+
+  const tours = toursFromDisplay(entry.tours);
+  const songHistory = await getCachedSongHistory(cache, artistName, mbid);
+  // Unknown setlists from on or before the oldest known date were counted by an
+  // earlier scan; deletions pull them forward into the newest pages
+  const oldestKnownDate = Math.min(...entry.recentSetlists
+    .map((record) => parseTourDate(record.eventDate).dateStamp)
+    .filter((dateStamp) => dateStamp !== null));
+  let newCount = 0;
+  let updatedCount = 0;
+  const recentSetlists = newestSetlists.map((setlist) => {
+    const known = knownSetlists.get(setlist.id);
+    if (known && known.lastUpdated === (setlist.lastUpdated || null)) {
+      return known;
+    }
+    const { dateStamp } = parseTourDate(setlist.eventDate);
+    if (!known && dateStamp !== null && dateStamp <= oldestKnownDate) {
+      return getSetlistRecord(setlist, songHistory ? getRecordedSongKeys(setlist) : []);
+    }
+    if (known) {
+      updatedCount++;
+      removeSetlistFromTours(tours, known);
+      if (songHistory) {
+        removeSetlistFromSongHistory(songHistory, known);
+      }
+    } else {
+      newCount++;
+    }
+    addSetlistToTours(tours, setlist);
+    const songKeys = songHistory ? recordSongHistory(songHistory, setlist) : [];
+    return getSetlistRecord(setlist, songKeys);
+  });
+
+  // Pages run newest first, so they hold every setlist after their oldest date
+  // (setlists on that date may continue on the next page), or every setlist
+  // when there are no more pages
+  const fetchedIds = new Set(newestSetlists.map((setlist) => setlist.id));
+  const coversAll = fetchedPages > 0 && fetchedPages >= totalPages;
+  const oldestDate = Math.min(...newestSetlists
+    .map((setlist) => parseTourDate(setlist.eventDate).dateStamp)
+    .filter((dateStamp) => dateStamp !== null));
+  let deletedCount = 0;
+  entry.recentSetlists.forEach((record) => {
+    if (fetchedIds.has(record.id)) {
+      return;
+    }
+    const { dateStamp } = parseTourDate(record.eventDate);
+    if (coversAll || (dateStamp !== null && dateStamp > oldestDate)) {
+      deletedCount++;
+      removeSetlistFromTours(tours, record);
+      if (songHistory) {
+        removeSetlistFromSongHistory(songHistory, record);
+      }
+    }
+  });
+  console.log(`Refreshing tours for ${artistName}: ${newCount} new, ${updatedCount} updated, ${deletedCount} deleted setlists`);
+
+  await cacheTours(cache, artistName, mbid, buildTourArray(tours), DEFAULT_TTL, recentSetlists);
+
+  if (songHistory && newCount + updatedCount + deletedCount > 0) {
+    sortSongHistory(songHistory);
+    await cacheSongHistory(cache, artistName, mbid, songHistory);
+  }
+}
+
+/**
+ * What one of the newest setlists contributed to the cached tours and song
+ * history, kept so a refresh can replace it if the setlist is edited later
+ * @param {Object} setlist - Single setlist from Setlist.fm
+ * @param {Array<string>} songKeys - Song keys recordSongHistory recorded for it
+ * @returns {Object} { id, lastUpdated, tourName, eventDate, songKeys }
+ */
+function getSetlistRecord(setlist, songKeys) {
+  return {
+    id: setlist.id,
+    lastUpdated: setlist.lastUpdated || null,
+    tourName: setlist.tour?.name || null,
+    eventDate: setlist.eventDate || null,
+    songKeys
   };
+}
+
+/**
+ * Song keys recordSongHistory would record for a setlist, without recording them
+ * @param {Object} setlist - Single setlist from Setlist.fm
+ * @returns {Array<string>} Song keys (empty if the show would be skipped)
+ */
+function getRecordedSongKeys(setlist) {
+  if (parseTourDate(setlist.eventDate).dateStamp === null) {
+    return [];
+  }
+  return [...new Set(getShowSongs(setlist, setlist.artist?.name).map(({ key }) => key))];
+}
+
+/**
+ * Removes one occurrence of a value from an array, if present
+ */
+function removeOne(values, value) {
+  const index = values.lastIndexOf(value);
+  if (index !== -1) {
+    values.splice(index, 1);
+  }
+}
+
+/**
+ * Takes a setlist's earlier contribution back out of the aggregated tours
+ * - The show count drops; the tour's date range is left as it was
+ * @param {Map} tours - Tours by name
+ * @param {Object} record - Setlist record from getSetlistRecord
+ */
+function removeSetlistFromTours(tours, record) {
+  const tour = record.tourName ? tours.get(record.tourName) : null;
+  if (!tour) {
+    return;
+  }
+  tour.showCount--;
+  if (tour.showCount <= 0) {
+    tours.delete(record.tourName);
+  }
+}
+
+/**
+ * Takes a setlist's earlier contribution back out of an artist's song history
+ * @param {Object} songHistory - { showDates, songs, songInfo }
+ * @param {Object} record - Setlist record from getSetlistRecord
+ */
+function removeSetlistFromSongHistory(songHistory, record) {
+  const { dateStamp } = parseTourDate(record.eventDate);
+  if (!record.songKeys?.length || dateStamp === null) {
+    return;
+  }
+  removeOne(songHistory.showDates, dateStamp);
+  record.songKeys.forEach((key) => {
+    const dates = songHistory.songs[key];
+    if (!dates) {
+      return;
+    }
+    removeOne(dates, dateStamp);
+    if (dates.length === 0) {
+      delete songHistory.songs[key];
+      delete songHistory.songInfo[key];
+    }
+  });
+}
+
+/**
+ * Fetches an artist's full song history (every song's play dates and tours)
+ * - Served from cache when the Past Tours scan already built it; otherwise
+ *   runs the same full pagination and caches tours and history together
+ * @param {string} artistName - The artist name to search for
+ * @param {string} mbid - Optional MusicBrainz ID for more accurate matching
+ * @param {function} onProgress - Optional callback for progress updates
+ * @param {Object} cache - Optional cache store
+ * @returns {Promise<Object>} Song history ({ showDates, songs, songInfo })
+ */
+async function fetchSongHistory(artistName, mbid = null, onProgress = null, cache = null) {
+  if (cache) {
+    const cachedHistory = await getCachedSongHistory(cache, artistName, mbid);
+    if (cachedHistory) {
+      console.log(`Returning cached song history for ${artistName}`);
+      return cachedHistory;
+    }
+  }
+
+  const { tourArray, songHistory, recentSetlists } = await scanArtistSetlists(artistName, mbid, onProgress);
+  if (cache) {
+    await cacheScanResults(cache, artistName, mbid, tourArray, songHistory, recentSetlists);
+  }
+  return songHistory;
+}
+
+/**
+ * Caches the tours and song history from a full setlist scan
+ * - An empty tour list is not cached so a failed scan is retried next time
+ * - An empty song history is cached briefly, so artists without setlists
+ *   aren't rescanned on every request
+ * @param {Object} cache - Cache store
+ * @param {string} artistName - The artist name
+ * @param {string} mbid - MusicBrainz ID (optional)
+ * @param {Array} tourArray - Tours found by the scan
+ * @param {Object} songHistory - Song history built by the scan
+ * @param {Array<Object>} recentSetlists - Records of the setlists on the newest pages
+ */
+async function cacheScanResults(cache, artistName, mbid, tourArray, songHistory, recentSetlists) {
+  if (tourArray.length > 0) {
+    await cacheTours(cache, artistName, mbid, tourArray, DEFAULT_TTL, recentSetlists);
+  }
+  if (songHistory.showDates.length > 0) {
+    await cacheSongHistory(cache, artistName, mbid, songHistory);
+  } else {
+    await cacheSongHistory(cache, artistName, mbid, songHistory, EMPTY_HISTORY_TTL);
+  }
+}
+
+/**
+ * Paginates through every setlist for an artist
+ * - Aggregates tours (name, date range, show count)
+ * - Records every song's play dates and tours into the song history
+ * - Keeps records of the newest pages' setlists for later refreshes
+ * @param {string} artistName - The artist name to search for
+ * @param {string} mbid - Optional MusicBrainz ID for more accurate matching
+ * @param {function} onProgress - Optional callback for progress updates
+ * @returns {Promise<Object>} { tourArray, songHistory, recentSetlists }
+ */
+async function scanArtistSetlists(artistName, mbid = null, onProgress = null) {
+  const tours = new Map(); // Use Map to track unique tours by name (aggregate across years)
 
   let page = 1;
   let totalPages = 1;
   let processedShows = 0;
+  const songHistory = { showDates: [], songs: {}, songInfo: {} };
+  const recentSetlists = [];
 
   try {
-    // Build query params - use artistMbid when available for more accurate results
-    const params = mbid
-      ? { artistMbid: mbid, p: page }
-      : { artistName: artistName, p: page }; // Don't double-encode, axios will handle it
-
     console.log(`Starting tour extraction for ${artistName} with MBID: ${mbid}`);
 
     do {
-      // Make rate-limited API call
-      const response = await limiter.schedule(async () => {
-        const url = 'https://api.setlist.fm/rest/1.0/search/setlists';
-        const requestParams = { ...params, p: page };
-        console.log(`Fetching page ${page}/${totalPages || '?'} for ${artistName}`);
-
-        try {
-          return await axiosRequestWithRetry(() => axios.get(url, {
-            params: requestParams,
-            headers,
-            timeout: 30000
-          }));
-        } catch (apiError) {
-          console.error(`API request failed for ${artistName} page ${page}:`, apiError.message);
-          throw apiError;
-        }
-      });
-
-      const data = response.data;
+      console.log(`Fetching page ${page}/${totalPages || '?'} for ${artistName}`);
+      const data = await fetchSetlistPage(artistName, mbid, page);
 
       // Check if response has expected structure
       if (!data || typeof data.total === 'undefined' || typeof data.itemsPerPage === 'undefined') {
@@ -87,61 +384,10 @@ async function fetchAllToursFromAPI(artistName, mbid = null, onProgress = null,
       if (data.setlist && Array.isArray(data.setlist)) {
         for (const setlist of data.setlist) {
           processedShows++;
-
-          if (setlist.tour && setlist.tour.name) {
-            const tourName = setlist.tour.name;
-            const eventDate = setlist.eventDate; // format DD-MM-YYYY
-
-            // Parse to comparable components
-            let year = null;
-            let dateStamp = null; // YYYYMMDD numeric for comparison
-            if (eventDate) {
-              const parts = eventDate.split('-');
-              if (parts.length === 3) {
-                const [dd, mm, yyyy] = parts;
-                year = parseInt(yyyy, 10);
-                dateStamp = parseInt(`${yyyy}${mm}${dd}`, 10);
-              }
-            }
-
-            // Use tour name as unique key (aggregate across years)
-            if (!tours.has(tourName)) {
-              tours.set(tourName, {
-                name: tourName,
-                showCount: 0,
-                firstDate: eventDate || null,
-                lastDate: eventDate || null,
-                firstYear: year || null,
-                lastYear: year || null,
-                _firstStamp: dateStamp, // internal comparison helpers
-                _lastStamp: dateStamp
-              });
-            }
-
-            // Update tour info
-            const tour = tours.get(tourName);
-            tour.showCount++;
-
-            if (dateStamp !== null) {
-              // Initialize stamps if missing
-              if (tour._firstStamp === null || typeof tour._firstStamp === 'undefined') {
-                tour._firstStamp = dateStamp;
-              }
-              if (tour._lastStamp === null || typeof tour._lastStamp === 'undefined') {
-                tour._lastStamp = dateStamp;
-              }
-
-              if (dateStamp < tour._firstStamp) {
-                tour._firstStamp = dateStamp;
-                tour.firstDate = eventDate;
-                tour.firstYear = year;
-              }
-              if (dateStamp > tour._lastStamp) {
-                tour._lastStamp = dateStamp;
-                tour.lastDate = eventDate;
-                tour.lastYear = year;
-              }
-            }
+          const songKeys = recordSongHistory(songHistory, setlist);
+          addSetlistToTours(tours, setlist);
+          if (page <= REFRESH_PAGES) {
+            recentSetlists.push(getSetlistRecord(setlist, songKeys));
           }
         }
       }
@@ -159,33 +405,13 @@ async function fetchAllToursFromAPI(artistName, mbid = null, onProgress = null,
       page++;
     } while (page <= totalPages);
 
-    // Convert Map to sorted array and format for display
-    const tourArray = Array.from(tours.values())
-      .filter(tour => tour.name && !isInvalidTourName(tour.name))
-      .map(tour => formatTourForDisplay(tour))
-      .sort((a, b) => {
-        // Sort by year descending, then by show count
-        const getFirstYear = (yearStr) => {
-          if (!yearStr) return 0;
-          const match = yearStr.match(/\d{4}/);
-          return match ? parseInt(match[0]) : 0;
-        };
-
-        const yearA = getFirstYear(b.year);
-        const yearB = getFirstYear(a.year);
-
-        if (yearA !== yearB) return yearA - yearB;
-        return b.showCount - a.showCount;
-      });
+    const tourArray = buildTourArray(tours);
 
     console.log(`Found ${tourArray.length} valid tours for ${artistName} from ${processedShows} shows`);
 
-    // Cache the results if Redis client is provided
-    if (redisClient && tourArray.length > 0) {
-      await cacheTours(redisClient, artistName, mbid, tourArray);
-    }
+    sortSongHistory(songHistory);
 
-    return tourArray;
+    return { tourArray, songHistory, recentSetlists };
 
   } catch (error) {
     console.error(`Error fetching tours for ${artistName}:`, error.message);
@@ -193,6 +419,213 @@ async function fetchAllToursFromAPI(artistName, mbid = null, onProgress = null,
   }
 }
 
+/**
+ * Fetches one page of an artist's setlists (rate-limited)
+ * @param {string} artistName - The artist name to search for
+ * @param {string} mbid - Optional MusicBrainz ID for more accurate matching
+ * @param {number} page - Page number (1-based)
+ * @returns {Promise<Object>} search/setlists response body
+ */
+async function fetchSetlistPage(artistName, mbid, page) {
+  const SETLIST_API_KEY = process.env.SETLIST_API_KEY;
+
+  if (!SETLIST_API_KEY) {
+    throw new Error('SETLIST_API_KEY environment variable is not set');
+  }
+
+  const headers = {
+    'x-api-key': SETLIST_API_KEY,
+    'Accept': 'application/json'
+  };
+
+  // Build query params - use artistMbid when available for more accurate results
+  const params = mbid
+    ? { artistMbid: mbid, p: page }
+    : { artistName: artistName, p: page }; // Don't double-encode, axios will handle it
+
+  // Make rate-limited API call
+  const response = await limiter.schedule(async () => {
+    const url = 'https://api.setlist.fm/rest/1.0/search/setlists';
+    try {
+      return await axiosRequestWithRetry(() => axios.get(url, {
+        params,
+        headers,
+        timeout: 30000
+      }));
+    } catch (apiError) {
+      console.error(`API request failed for ${artistName} page ${page}:`, apiError.message);
+      throw apiError;
+    }
+  });
+  return response.data;
+}
+
+/**
+ * Adds one setlist to the tours being aggregated (show count and date range)
+ * - Setlists without a tour name are skipped
+ * @param {Map} tours - Tours by name, with _firstStamp/_lastStamp comparison helpers
+ * @param {Object} setlist - Single setlist from Setlist.fm
+ */
+function addSetlistToTours(tours, setlist) {
+  if (!setlist.tour || !setlist.tour.name) {
+    return;
+  }
+  const tourName = setlist.tour.name;
+  const eventDate = setlist.eventDate; // format DD-MM-YYYY
+  const { year, dateStamp } = parseTourDate(eventDate);
+
+  // Use tour name as unique key (aggregate across years)
+  if (!tours.has(tourName)) {
+    tours.set(tourName, {
+      name: tourName,
+      showCount: 0,
+      firstDate: eventDate || null,
+      lastDate: eventDate || null,
+      firstYear: year || null,
+      lastYear: year || null,
+      _firstStamp: dateStamp, // internal comparison helpers
+      _lastStamp: dateStamp
+    });
+  }
+
+  // Update tour info
+  const tour = tours.get(tourName);
+  tour.showCount++;
+
+  if (dateStamp !== null) {
+    // Initialize stamps if missing
+    if (tour._firstStamp === null || typeof tour._firstStamp === 'undefined') {
+      tour._firstStamp = dateStamp;
+    }
+    if (tour._lastStamp === null || typeof tour._lastStamp === 'undefined') {
+      tour._lastStamp = dateStamp;
+    }
+
+    if (dateStamp < tour._firstStamp) {
+      tour._firstStamp = dateStamp;
+      tour.firstDate = eventDate;
+      tour.firstYear = year;
+    }
+    if (dateStamp > tour._lastStamp) {
+      tour._lastStamp = dateStamp;
+      tour.lastDate = eventDate;
+      tour.lastYear = year;
+    }
+  }
+}
+
+/**
+ * Parses a DD-MM-YYYY date into its year and a YYYYMMDD number for comparison
+ * @param {string} eventDate - Date from Setlist.fm
+ * @returns {Object} { year, dateStamp } (both null if unparseable)
+ */
+function parseTourDate(eventDate) {
+  const parts = eventDate?.split('-');
+  if (!parts || parts.length !== 3) {
+    return { year: null, dateStamp: null };
+  }
+  const [dd, mm, yyyy] = parts;
+  return { year: parseInt(yyyy, 10), dateStamp: parseInt(`${yyyy}${mm}${dd}`, 10) };
+}
+
+/**
+ * Rebuilds the aggregation map from a cached (display-formatted) tour list
+ * @param {Array} tourArray - Tours as returned by buildTourArray
+ * @returns {Map} Tours by name, ready for addSetlistToTours
+ */
+function toursFromDisplay(tourArray) {
+  return new Map(tourArray.map((tour) => {
+    const first = parseTourDate(tour.firstDate);
+    const last = parseTourDate(tour.lastDate);
+    return [tour.name, {
+      name: tour.name,
+      showCount: tour.showCount,
+      firstDate: tour.firstDate,
+      lastDate: tour.lastDate,
+      firstYear: first.year,
+      lastYear: last.year,
+      _firstStamp: first.dateStamp,
+      _lastStamp: last.dateStamp
+    }];
+  }));
+}
+
+/**
+ * Converts aggregated tours to the sorted display list
+ * - Drops placeholder tour names, sorts by year (newest first) then show count
+ * @param {Map} tours - Tours by name
+ * @returns {Array} Tour objects with name, year, and show count
+ */
+function buildTourArray(tours) {
+  return Array.from(tours.values())
+    .filter(tour => tour.name && !isInvalidTourName(tour.name))
+    .map(tour => formatTourForDisplay(tour))
+    .sort((a, b) => {
+      // Sort by year descending, then by show count
+      const getFirstYear = (yearStr) => {
+        if (!yearStr) return 0;
+        const match = yearStr.match(/\d{4}/);
+        return match ? parseInt(match[0]) : 0;
+      };
+
+      const yearA = getFirstYear(b.year);
+      const yearB = getFirstYear(a.year);
+
+      if (yearA !== yearB) return yearA - yearB;
+      return b.showCount - a.showCount;
+    });
+}
+
+/**
+ * Puts a song history's play dates in chronological order
+ * - Pages arrive newest first, and refreshes append newer dates at the end
+ * @param {Object} songHistory - { showDates, songs, songInfo }
+ */
+function sortSongHistory(songHistory) {
+  songHistory.showDates.sort((a, b) => a - b);
+  Object.values(songHistory.songs).forEach(dates => dates.sort((a, b) => a - b));
+}
+
+/**
+ * Adds one setlist's songs to an artist's song history
+ * - Dates are YYYYMMDD numbers; each song is recorded once per show
+ * - songInfo keeps each song's display title, artist and the tours it was played on
+ * @param {Object} songHistory - { showDates: Array<number>, songs: { [key]: Array<number> },
+ *   songInfo: { [key]: { song, artist, tours: Array<string> } } }
+ * @param {Object} setlist - Single setlist from Setlist.fm
+ * @returns {Array<string>} Keys of the songs recorded (empty if the show was skipped)
+ */
+function recordSongHistory(songHistory, setlist) {
+  const parts = setlist.eventDate?.split('-');
+  const showSongs = getShowSongs(setlist, setlist.artist?.name);
+  if (!parts || parts.length !== 3 || showSongs.length === 0) {
+    return [];
+  }
+  const [dd, mm, yyyy] = parts;
+  const dateStamp = parseInt(`${yyyy}${mm}${dd}`, 10);
+
+  const tourName = setlist.tour?.name && !isInvalidTourName(setlist.tour.name) ? setlist.tour.name : null;
+
+  songHistory.showDates.push(dateStamp);
+  const seenThisShow = new Set();
+  showSongs.forEach(({ key, song, artist }) => {
+    if (seenThisShow.has(key)) {
+      return;
+    }
+    seenThisShow.add(key);
+    if (!songHistory.songs[key]) {
+      songHistory.songs[key] = [];
+      songHistory.songInfo[key] = { song, artist, tours: [] };
+    }
+    songHistory.songs[key].push(dateStamp);
+    const { tours } = songHistory.songInfo[key];
+    if (tourName && !tours.includes(tourName)) {
+      tours.push(tourName);
+    }
+  });
+  return [...seenThisShow];
+}
+
 /**
  * Checks if a tour name should be filtered out
  */
@@ -215,15 +648,15 @@ function isInvalidTourName(tourName) {
  * @param {string} artistName - The artist name to search for
  * @param {string} mbid - Optional MusicBrainz ID for more accurate matching
  * @param {string} clientId - SSE client ID for sending updates
- * @param {Object} redisClient - Optional Redis client for caching
+ * @param {Object} cache - Optional cache store
  * @returns {Promise<void>} Resolves when all pages have been processed
  */
-async function fetchAllToursFromAPIStream(artistName, mbid = null, clientId, redisClient = null) {
+async function fetchAllToursFromAPIStream(artistName, mbid = null, clientId, cache = null) {
   const sseManager = require('./sseManager');
 
-  // Check cache first if Redis client is provided
-  if (redisClient) {
-    const cachedTours = await getCachedTours(redisClient, artistName, mbid);
+  // Check cache first if a cache store is provided
+  if (cache) {
+    const cachedTours = await getCachedTours(cache, artistName, mbid);
     if (cachedTours && cachedTours.length > 0) {
       console.log(`Streaming cached tours for ${artistName}`);
 
@@ -392,9 +825,9 @@ async function fetchAllToursFromAPIStream(artistName, mbid = null, clientId, red
     // Convert tours Map to array for caching
     const tourArray = Array.from(tours.values()).map(tour => formatTourForDisplay(tour));
 
-    // Cache the results if Redis client is provided and we found tours
-    if (redisClient && tourArray.length > 0) {
-      await cacheTours(redisClient, artistName, mbid, tourArray);
+    // Cache the results if a cache store is provided and we found tours
+    if (cache && tourArray.length > 0) {
+      await cacheTours(cache, artistName, mbid, tourArray);
     }
 
     // Send completion with summary
@@ -444,5 +877,8 @@ function formatTourForDisplay(tour) {
 
 module.exports = {
   fetchAllToursFromAPI,
-  fetchAllToursFromAPIStream
+  getToursWithRevalidation,
+  waitForTourRefresh,
+  fetchAllToursFromAPIStream,
+  fetchSongHistory
 };
\ No newline at end of file
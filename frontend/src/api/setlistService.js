@@ -50,9 +50,10 @@ export const searchArtistsDeezer = async (artistName) => {
  * 
  * @param {Object} artist Artist object with name, id, and url
  * @param {Function} progressCallback Callback function for progress updates
+ * @param {Object} [filters] Optional { from, to, countries, continent, city } setlist filters
  * @returns {Promise<Object>} Promise resolving to tour data and spotify songs
  */
-export const fetchArtistTour = async (artist, progressCallback) => {
+export const fetchArtistTour = async (artist, progressCallback, filters = null) => {
   try {
     // Connect to SSE if not already connected
     await eventSourceService.connect();
@@ -98,7 +99,8 @@ export const fetchArtistTour = async (artist, progressCallback) => {
           spotifyId: artist.id,
           url: artist.url
         },
-        clientId
+        clientId,
+        ...(filters && { filters })
       },
       {
         headers: { "Content-Type": "application/json" }
@@ -146,7 +148,8 @@ export const fetchSetlistById = async (setlistUrl) => {
 
     return {
       spotifyData: response.data.spotifySongsOrdered || [],
-      tourData: response.data.tourData || {}
+      tourData: response.data.tourData || {},
+      predictedSetlist: response.data.predictedSetlist || []
     };
   } catch (error) {
     console.error("Error fetching setlist by ID:", error);
@@ -171,9 +174,10 @@ export const fetchSetlistById = async (setlistUrl) => {
  * @param {string} tourId Tour ID from scraped tours
  * @param {string} tourName Tour name from scraped tours
  * @param {Function} progressCallback Callback function for progress updates
- * @returns {Promise<Object>} Promise resolving to tour data and Spotify info
+ * @param {Object} [filters] Optional { from, to, countries, continent, city } setlist filters
+ * @returns {Promise<Object>} Promise resolving to tour data, Spotify info and predicted setlist
  */
-export const fetchSpecificTourWithUpdates = async (artist, tourId, tourName, progressCallback) => {
+export const fetchSpecificTourWithUpdates = async (artist, tourId, tourName, progressCallback, filters = null) => {
   try {
     // Connect to SSE if not already connected
     await eventSourceService.connect();
@@ -225,7 +229,8 @@ export const fetchSpecificTourWithUpdates = async (artist, tourId, tourName, pro
         },
         tourId,
         tourName,
-        clientId
+        clientId,
+        ...(filters && { filters })
       },
       {
         headers: { "Content-Type": "application/json" }
@@ -239,7 +244,11 @@ export const fetchSpecificTourWithUpdates = async (artist, tourId, tourName, pro
     eventSourceService.removeListener(listenerId);
 
     console.log('Tour search completed successfully:', result);
-    return { tourData: result.tourData, spotifyData: result.spotifySongsOrdered };
+    return {
+      tourData: result.tourData,
+      spotifyData: result.spotifySongsOrdered,
+      predictedSetlist: result.predictedSetlist || []
+    };
   } catch (error) {
     console.error("Error fetching specific tour with updates:", error);
     throw error;
@@ -251,7 +260,7 @@ export const fetchSpecificTourWithUpdates = async (artist, tourId, tourName, pro
  *
  * @param {Object} artist Artist object with name, id, url
  * @param {Function} progressCallback Receives { stage, message, progress }
- * @returns {Promise<{tours: Array, validatedArtistName: string, totalTours: number}>}
+ * @returns {Promise<{tours: Array, validatedArtistName: string, setlistSlug: string|null, totalTours: number, stale: boolean, refreshing: boolean}>}
  */
 export const fetchAdvancedToursWithUpdates = async (artist, progressCallback) => {
   // Establish SSE connection (one-at-a-time model)
@@ -302,4 +311,332 @@ export const fetchAdvancedToursWithUpdates = async (artist, progressCallback) =>
   } finally {
     eventSourceService.removeListener(listenerId);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Fetch an artist's tour list after its background refresh finishes
+ * - Used when fetchAdvancedToursWithUpdates returned a stale cached list
+ *
+ * @param {Object} artist Artist object with name, id, url
+ * @returns {Promise<{tours: Array, validatedArtistName: string, totalTours: number, stale: boolean}>}
+ */
+export const fetchRefreshedTours = async (artist) => {
+  try {
+    const response = await axios.post(
+      `${server_url}/setlist/refreshed_tours`,
+      {
+        artist: {
+          name: artist.name,
+          id: artist.id,
+          url: artist.url,
+        },
+      },
+      { headers: { 'Content-Type': 'application/json' } }
+    );
+    return response.data;
+  } catch (error) {
+    console.error("Error fetching refreshed tours:", error);
+
+    if (error.response) {
+      throw new Error(error.response.data.error || "An error occurred.");
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Predict the setlist for one upcoming show with SSE progress updates
+ *
+ * @param {Object} artist Artist object with name, id, and url
+ * @param {Object} show { date: "YYYY-MM-DD", city, countryCode, venue, showType }
+ * @param {Function} progressCallback Receives { stage, message, progress }
+ * @returns {Promise<Object>} { tourData (with showPrediction), spotifySongsOrdered, predictedSetlist }
+ */
+export const fetchShowPrediction = async (artist, show, progressCallback) => {
+  try {
+    await eventSourceService.connect();
+    const clientId = eventSourceService.getClientId();
+
+    if (!clientId) {
+      throw new Error("Failed to establish SSE connection");
+    }
+
+    const listenerId = `show-prediction-${Date.now()}`;
+
+    const resultPromise = new Promise((resolve, reject) => {
+      eventSourceService.addListener(listenerId, (event) => {
+        if (event.type === 'update' && progressCallback) {
+          progressCallback({
+            stage: event.stage,
+            message: event.message,
+            progress: event.progress
+          });
+        }
+
+        if (event.type === 'complete') {
+          resolve(event.data);
+        }
+
+        if (event.type === 'error') {
+          reject(new Error(event.message));
+        }
+      });
+    });
+
+    await axios.post(
+      `${server_url}/setlist/predict_show_with_updates`,
+      {
+        artist: {
+          name: artist.name,
+          spotifyId: artist.id,
+          url: artist.url
+        },
+        clientId,
+        show
+      },
+      {
+        headers: { "Content-Type": "application/json" }
+      }
+    );
+
+    try {
+      return await resultPromise;
+    } finally {
+      eventSourceService.removeListener(listenerId);
+    }
+  } catch (error) {
+    console.error("Error predicting show:", error);
+
+    if (error.response) {
+      if (error.response.status === 429) {
+        throw new Error("Too many requests. Setlist.fm is rate-limiting us. Please try again later.");
+      } else {
+        throw new Error(error.response.data.error || "An error occurred.");
+      }
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Fetch an artist's announced shows that haven't happened yet
+ *
+ * @param {Object} artist Artist object with name, id, and url
+ * @returns {Promise<Array>} Upcoming shows ({ id, date, eventDate, venue, city, countryCode, tourName, showType })
+ */
+export const fetchUpcomingShows = async (artist) => {
+  try {
+    const response = await axios.post(
+      `${server_url}/setlist/upcoming_shows`,
+      {
+        artist: {
+          name: artist.name,
+          spotifyId: artist.id,
+          url: artist.url
+        }
+      },
+      {
+        headers: { "Content-Type": "application/json" }
+      }
+    );
+    return response.data.shows;
+  } catch (error) {
+    console.error("Error fetching upcoming shows:", error);
+
+    if (error.response) {
+      throw new Error(error.response.data.error || "An error occurred.");
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Fetch career-wide song statistics with SSE progress updates (page-based)
+ *
+ * @param {Object} artist Artist object with name, id, url
+ * @param {Function} progressCallback Receives { stage, message, progress }
+ * @returns {Promise<{bandName: string, totalShows: number, years: Array, showsPerYear: Array, songs: Array}>}
+ */
+export const fetchCareerStatsWithUpdates = async (artist, progressCallback) => {
+  // Establish SSE connection (one-at-a-time model)
+  await eventSourceService.connect();
+  const clientId = eventSourceService.getClientId();
+  if (!clientId) {
+    throw new Error('Failed to establish SSE connection');
+  }
+
+  const listenerId = `career-stats-${Date.now()}`;
+
+  const resultPromise = new Promise((resolve, reject) => {
+    eventSourceService.addListener(listenerId, (event) => {
+      if (event.type === 'update' && progressCallback) {
+        progressCallback({
+          stage: event.stage,
+          message: event.message,
+          progress: event.progress,
+        });
+      }
+
+      if (event.type === 'complete') {
+        resolve(event.data);
+      }
+
+      if (event.type === 'error') {
+        reject(new Error(event.message));
+      }
+    });
+  });
+
+  await axios.post(
+    `${server_url}/setlist/career_with_updates`,
+    {
+      artist: {
+        name: artist.name,
+        id: artist.id,
+        url: artist.url,
+      },
+      clientId,
+    },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+
+  try {
+    const result = await resultPromise;
+    return result;
+  } finally {
+    eventSourceService.removeListener(listenerId);
+  }
+};
+
+/**
+ * Fetch the show × song matrix for a tour
+ *
+ * @param {string} mbid MusicBrainz ID of the artist
+ * @param {string} tourName Tour name
+ * @param {string} artistName Artist name (used for server logging)
+ * @returns {Promise<{tourName: string, totalShows: number, shows: Array, songs: Array}>}
+ */
+export const fetchTourMatrix = async (mbid, tourName, artistName) => {
+  try {
+    const response = await axios.get(
+      `${server_url}/setlist/tour/${encodeURIComponent(mbid)}/${encodeURIComponent(tourName)}/matrix`,
+      { params: { artistName } }
+    );
+    return response.data;
+  } catch (error) {
+    console.error("Error fetching tour matrix:", error);
+
+    if (error.response) {
+      if (error.response.status === 429) {
+        throw new Error("Too many requests. Setlist.fm is rate-limiting us. Please try again later.");
+      } else {
+        throw new Error(error.response.data.error || "An error occurred.");
+      }
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Compare two tours by an artist: songs added, dropped, changed, and shared staples
+ *
+ * @param {Object} artist Artist object with name, id, and url
+ * @param {string} fromTour Earlier / base tour name
+ * @param {string} toTour Tour to compare against
+ * @param {number} [threshold] Minimum likelihood change to report (0-1)
+ * @returns {Promise<Object>} { bandName, fromTour, toTour, threshold, added, dropped, changed, staples }
+ */
+export const compareTours = async (artist, fromTour, toTour, threshold) => {
+  try {
+    const response = await axios.post(
+      `${server_url}/setlist/compare_tours`,
+      {
+        artist: {
+          name: artist.name,
+          spotifyId: artist.id,
+          url: artist.url
+        },
+        fromTour,
+        toTour,
+        ...(typeof threshold === "number" && { threshold })
+      },
+      {
+        headers: { "Content-Type": "application/json" }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error("Error comparing tours:", error);
+
+    if (error.response) {
+      if (error.response.status === 429) {
+        throw new Error("Too many requests. Setlist.fm is rate-limiting us. Please try again later.");
+      } else {
+        throw new Error(error.response.data.error || "An error occurred.");
+      }
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Find the support acts and co-headliners that played a sample of a tour's shows
+ *
+ * @param {string} mbid MusicBrainz ID of the artist
+ * @param {string} tourName Tour name
+ * @param {string} artistName Artist name
+ * @returns {Promise<Object>} { tourName, sampledShows, acts }
+ */
+export const fetchSupportActs = async (mbid, tourName, artistName) => {
+  try {
+    const response = await axios.get(
+      `${server_url}/setlist/tour/${encodeURIComponent(mbid)}/${encodeURIComponent(tourName)}/support_acts`,
+      { params: { artistName } }
+    );
+    return response.data;
+  } catch (error) {
+    console.error("Error fetching support acts:", error);
+
+    if (error.response) {
+      if (error.response.status === 429) {
+        throw new Error("Too many requests. Setlist.fm is rate-limiting us. Please try again later.");
+      } else {
+        throw new Error(error.response.data.error || "An error occurred.");
+      }
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Look up a support act's likely songs on Spotify
+ *
+ * @param {Array} songs Songs from fetchSupportActs ({ song, artist, count })
+ * @returns {Promise<Array>} Songs with Spotify data (uri, albumName, ...)
+ */
+export const fetchSupportActTracks = async (songs) => {
+  try {
+    const response = await axios.post(
+      `${server_url}/setlist/support_act_tracks`,
+      { songs },
+      {
+        headers: { "Content-Type": "application/json" }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error("Error fetching support act tracks:", error);
+
+    if (error.response) {
+      throw new Error(error.response.data.error || "An error occurred.");
+    }
+
+    throw error;
+  }
+};
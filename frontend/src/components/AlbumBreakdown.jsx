@@ -0,0 +1,59 @@
+// File: ./src/components/AlbumBreakdown.jsx
+import { Box, Flex, Progress, Text, VStack, useColorModeValue } from "@chakra-ui/react";
+
+/**
+ * Album Breakdown Component
+ * - Shows how the average show splits across albums/eras, e.g.
+ *   "42% of the set · 3 songs" for the new record
+ * - Albums are listed oldest first; songs not found on Spotify come last
+ *
+ * @param {Object} props Component props
+ * @param {Array} props.albumBreakdown Albums from the server ({ album, year, songCount, songs, songsPerShow, share })
+ */
+const AlbumBreakdown = ({ albumBreakdown }) => {
+  const bgColor = useColorModeValue("gray.50", "gray.800");
+  const mutedColor = useColorModeValue("gray.500", "gray.400");
+
+  if (!albumBreakdown?.length) return null;
+
+  return (
+    <Box width="full" bg={bgColor} p={3} mb={4}>
+      <Text fontSize="sm" fontWeight="semibold" mb={2}>
+        Songs by album
+      </Text>
+      <VStack align="stretch" spacing={2}>
+        {albumBreakdown.map((group) => (
+          <Box key={group.album || "unknown"} title={group.songs.join(" · ")}>
+            <Flex justify="space-between" fontSize="sm" gap={2}>
+              <Text noOfLines={1}>
+                {group.album ? (
+                  <>
+                    <Text as="strong">{group.album}</Text>
+                    {group.year && ` (${group.year})`}
+                  </>
+                ) : (
+                  <Text as="span" color={mutedColor}>
+                    Not found on Spotify
+                  </Text>
+                )}
+              </Text>
+              <Text color={mutedColor} whiteSpace="nowrap">
+                {Math.round(group.share * 100)}% of the set · {group.songCount} song
+                {group.songCount !== 1 ? "s" : ""} · {group.songsPerShow} per show
+              </Text>
+            </Flex>
+            <Progress
+              value={group.share * 100}
+              size="xs"
+              colorScheme={group.album ? "teal" : "gray"}
+              borderRadius="md"
+              mt={1}
+            />
+          </Box>
+        ))}
+      </VStack>
+    </Box>
+  );
+};
+
+export default AlbumBreakdown;
@@ -0,0 +1,207 @@
+// File: ./src/components/CareerStats.jsx
+import { useEffect, useMemo, useState } from "react";
+import {
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalCloseButton,
+  Box,
+  Text,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+} from "@chakra-ui/react";
+import { fetchCareerStatsWithUpdates } from "../api/setlistService";
+import ProgressIndicator from "./ProgressIndicator";
+
+// Table columns and the value each one sorts by
+const COLUMNS = [
+  { id: "song", label: "Song", sortValue: (song) => song.song.toLowerCase() },
+  { id: "totalPlays", label: "Plays", isNumeric: true, sortValue: (song) => song.totalPlays },
+  { id: "firstPlayed", label: "First played", sortValue: (song) => toSortableDate(song.firstPlayed) },
+  { id: "lastPlayed", label: "Last played", sortValue: (song) => toSortableDate(song.lastPlayed) },
+  { id: "tourCount", label: "Tours", isNumeric: true, sortValue: (song) => song.tourCount },
+];
+
+/**
+ * Converts a Setlist.fm "DD-MM-YYYY" date into "YYYYMMDD" for sorting
+ */
+const toSortableDate = (eventDate) => (eventDate || "").split("-").reverse().join("");
+
+/**
+ * Small inline line chart of a song's plays per year
+ *
+ * @param {Object} props Component props
+ * @param {Array<number>} props.values Plays per year, oldest first
+ * @param {number} props.max Value drawn at the top of the chart
+ */
+const Sparkline = ({ values, max }) => {
+  const width = 120;
+  const height = 24;
+  if (values.length === 0 || max === 0) return null;
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const points = values
+    .map((value, index) => `${index * step},${height - (value / max) * (height - 2) - 1}`)
+    .join(" ");
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+      <polyline points={points} fill="none" stroke="#38B2AC" strokeWidth="1.5" />
+    </svg>
+  );
+};
+
+/**
+ * Career Stats Component
+ * - Every song the artist has played live, with total plays, first and last
+ *   play, number of tours and a plays-per-year sparkline
+ * - Columns are sortable by clicking their header
+ *
+ * @param {Object} props Component props
+ * @param {boolean} props.isOpen Whether the modal is open
+ * @param {Function} props.onClose Close handler
+ * @param {Object} props.artist Selected artist ({ name, id, url })
+ */
+const CareerStats = ({ isOpen, onClose, artist }) => {
+  const [stats, setStats] = useState(null);
+  const [progress, setProgress] = useState({ message: "", percent: 0 });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [sort, setSort] = useState({ column: "totalPlays", descending: true });
+
+  // The full history takes a while to scan, so only fetch once per artist
+  useEffect(() => {
+    if (!isOpen || !artist || stats?.artistId === artist.id) {
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setProgress({ message: "Loading setlist history...", percent: 0 });
+    fetchCareerStatsWithUpdates(artist, (update) => {
+      if (!cancelled) {
+        setProgress({ message: update.message, percent: update.progress });
+      }
+    })
+      .then((data) => {
+        if (cancelled) return;
+        // Stored stats re-run this effect, so clear loading in the same update
+        setStats({ ...data, artistId: artist.id });
+        setLoading(false);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err.message);
+        setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, artist, stats?.artistId]);
+
+  const sortedSongs = useMemo(() => {
+    if (!stats) return [];
+    const { sortValue } = COLUMNS.find((column) => column.id === sort.column);
+    const direction = sort.descending ? -1 : 1;
+    return [...stats.songs].sort((a, b) => {
+      const valueA = sortValue(a);
+      const valueB = sortValue(b);
+      if (valueA === valueB) return b.totalPlays - a.totalPlays;
+      return valueA < valueB ? -direction : direction;
+    });
+  }, [stats, sort]);
+
+  const maxPlaysPerYear = useMemo(
+    () =>
+      (stats?.songs || []).reduce(
+        (max, song) => Math.max(max, ...song.playsPerYear),
+        0
+      ),
+    [stats]
+  );
+
+  const handleSort = (column) => {
+    setSort((current) =>
+      current.column === column
+        ? { column, descending: !current.descending }
+        : { column, descending: column !== "song" }
+    );
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="5xl" scrollBehavior="inside">
+      <ModalOverlay />
+      <ModalContent bg="gray.900" color="white">
+        <ModalHeader>{artist?.name}: career stats</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody pb={6}>
+          <ProgressIndicator isLoading={loading} progress={progress} />
+
+          {error && !loading && (
+            <Text color="red.300" textAlign="center" py={10}>
+              {error}
+            </Text>
+          )}
+
+          {stats && !loading && !error && (
+            <>
+              <Text fontSize="sm" color="gray.400" mb={4}>
+                {stats.totalShows} shows · {stats.songs.length} songs ·{" "}
+                {stats.years[0]}–{stats.years[stats.years.length - 1]}
+              </Text>
+              <Box overflowX="auto">
+                <Table size="sm" variant="simple">
+                  <Thead>
+                    <Tr>
+                      {COLUMNS.map((column) => (
+                        <Th
+                          key={column.id}
+                          isNumeric={column.isNumeric}
+                          color="gray.300"
+                          cursor="pointer"
+                          userSelect="none"
+                          onClick={() => handleSort(column.id)}
+                        >
+                          {column.label}
+                          {sort.column === column.id && (sort.descending ? " ▼" : " ▲")}
+                        </Th>
+                      ))}
+                      <Th color="gray.300">Plays per year</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {sortedSongs.map((song) => (
+                      <Tr key={song.key}>
+                        <Td>
+                          <Text noOfLines={1}>{song.song}</Text>
+                          {song.artist !== stats.bandName && (
+                            <Text fontSize="xs" color="gray.500">
+                              {song.artist}
+                            </Text>
+                          )}
+                        </Td>
+                        <Td isNumeric>{song.totalPlays}</Td>
+                        <Td>{song.firstPlayed}</Td>
+                        <Td>{song.lastPlayed}</Td>
+                        <Td isNumeric>{song.tourCount}</Td>
+                        <Td title={`${stats.years[0]}–${stats.years[stats.years.length - 1]}`}>
+                          <Sparkline values={song.playsPerYear} max={maxPlaysPerYear} />
+                        </Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              </Box>
+            </>
+          )}
+        </ModalBody>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default CareerStats;
@@ -0,0 +1,91 @@
+// File: ./src/components/CoversSummary.jsx
+import { Box, Text, VStack, useColorModeValue } from "@chakra-ui/react";
+
+// How many covers / guests to list before summarizing the rest
+const MAX_LISTED = 8;
+
+/**
+ * Covers Summary Component
+ * - Lists the covers played on the tour and how often, the artists they
+ *   were written by, and guest performers with the dates they appeared
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.coversSummary Summary from the server ({ covers, coveredArtists, guests })
+ * @param {number} props.totalShows Shows the counts are out of
+ */
+const CoversSummary = ({ coversSummary, totalShows }) => {
+  const bgColor = useColorModeValue("gray.50", "gray.800");
+  const mutedColor = useColorModeValue("gray.500", "gray.400");
+
+  const covers = coversSummary?.covers || [];
+  const guests = coversSummary?.guests || [];
+  if (covers.length === 0 && guests.length === 0) return null;
+
+  const coveredArtists = coversSummary.coveredArtists || [];
+
+  return (
+    <Box width="full" bg={bgColor} p={3} mb={4}>
+      {covers.length > 0 && (
+        <>
+          <Text fontSize="sm" fontWeight="semibold" mb={1}>
+            Covers
+          </Text>
+          <Text fontSize="xs" color={mutedColor} mb={2}>
+            {coveredArtists.length} artist{coveredArtists.length !== 1 ? "s" : ""} covered:{" "}
+            {coveredArtists
+              .map(
+                ({ artist, songCount }) =>
+                  `${artist}${songCount > 1 ? ` (${songCount} songs)` : ""}`
+              )
+              .join(", ")}
+          </Text>
+          <VStack align="stretch" spacing={1} mb={guests.length > 0 ? 3 : 0}>
+            {covers.slice(0, MAX_LISTED).map((cover) => (
+              <Text key={cover.key} fontSize="sm">
+                <Text as="strong">{cover.song}</Text>{" "}
+                <Text as="span" color={mutedColor}>
+                  ({cover.originalArtist}) · {cover.count} of {totalShows} shows
+                </Text>
+              </Text>
+            ))}
+            {covers.length > MAX_LISTED && (
+              <Text fontSize="xs" color={mutedColor}>
+                and {covers.length - MAX_LISTED} more
+              </Text>
+            )}
+          </VStack>
+        </>
+      )}
+
+      {guests.length > 0 && (
+        <>
+          <Text fontSize="sm" fontWeight="semibold" mb={2}>
+            Guest appearances
+          </Text>
+          <VStack align="stretch" spacing={1}>
+            {guests.slice(0, MAX_LISTED).map((guest) => (
+              <Text key={guest.name} fontSize="sm">
+                <Text as="strong">{guest.name}</Text>{" "}
+                <Text as="span" color={mutedColor}>
+                  {guest.appearances
+                    .map(
+                      (appearance) =>
+                        `${appearance.eventDate} ${appearance.city} (${appearance.songs.join(", ")})`
+                    )
+                    .join(" · ")}
+                </Text>
+              </Text>
+            ))}
+            {guests.length > MAX_LISTED && (
+              <Text fontSize="xs" color={mutedColor}>
+                and {guests.length - MAX_LISTED} more
+              </Text>
+            )}
+          </VStack>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default CoversSummary;
@@ -0,0 +1,40 @@
+// File: ./src/components/RotationSlots.jsx
+import { Box, Text, VStack, useColorModeValue } from "@chakra-ui/react";
+
+/**
+ * Rotation Slots Component
+ * - Lists groups of songs that alternate in the same part of the show,
+ *   e.g. "Rotation slot: A / B / C (one per night)"
+ *
+ * @param {Object} props Component props
+ * @param {Array} props.rotationSlots Slots from the server ({ songs, coverage, avgPosition })
+ */
+const RotationSlots = ({ rotationSlots }) => {
+  const bgColor = useColorModeValue("gray.50", "gray.800");
+  const mutedColor = useColorModeValue("gray.500", "gray.400");
+
+  if (!rotationSlots?.length) return null;
+
+  return (
+    <Box width="full" bg={bgColor} p={3} mb={4}>
+      <Text fontSize="sm" fontWeight="semibold" mb={2}>
+        Rotating songs
+      </Text>
+      <VStack align="stretch" spacing={1}>
+        {rotationSlots.map((slot) => (
+          <Text key={slot.songs.map((entry) => entry.key).join("/")} fontSize="sm">
+            Rotation slot:{" "}
+            <Text as="strong">
+              {slot.songs.map((entry) => entry.song).join(" / ")}
+            </Text>{" "}
+            <Text as="span" color={mutedColor}>
+              (one per night, {Math.round(slot.coverage * 100)}% of shows)
+            </Text>
+          </Text>
+        ))}
+      </VStack>
+    </Box>
+  );
+};
+
+export default RotationSlots;
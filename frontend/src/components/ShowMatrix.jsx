@@ -0,0 +1,205 @@
+// File: ./src/components/ShowMatrix.jsx
+import React, { useEffect, useState } from "react";
+import {
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalCloseButton,
+  Box,
+  Flex,
+  Text,
+  Spinner,
+  Tooltip,
+} from "@chakra-ui/react";
+import { fetchTourMatrix } from "../api/setlistService";
+
+/**
+ * Show Matrix Component
+ * - Scrollable heatmap of every show on a tour against every song played
+ * - Rows are songs (most played first), columns are shows in date order
+ * - Filled cells show the song's position that night; encores are highlighted
+ * - Festival sets are marked in the column headers
+ *
+ * @param {Object} props Component props
+ * @param {boolean} props.isOpen Whether the modal is open
+ * @param {Function} props.onClose Close handler
+ * @param {Object} props.tourData Tour summary ({ bandName, tourName, mbid })
+ */
+const ShowMatrix = ({ isOpen, onClose, tourData }) => {
+  const [matrix, setMatrix] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Fetch the matrix the first time the modal opens for a tour
+  useEffect(() => {
+    if (!isOpen || !tourData?.mbid || matrix?.tourName === tourData.tourName) {
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    fetchTourMatrix(tourData.mbid, tourData.tourName, tourData.bandName)
+      .then((data) => {
+        if (!cancelled) setMatrix(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, tourData, matrix]);
+
+  // Lookup of show id -> { songKey -> { position, isEncore } }
+  const playedByShow = React.useMemo(() => {
+    const lookup = new Map();
+    matrix?.shows.forEach((show) => {
+      lookup.set(
+        show.id,
+        new Map(show.songs.map((entry) => [entry.key, entry]))
+      );
+    });
+    return lookup;
+  }, [matrix]);
+
+  const cellSize = "28px";
+  const festivalCount =
+    matrix?.shows.filter((show) => show.showType === "festival").length || 0;
+
+  /**
+   * Tooltip text for a show's column header, including why it counts as a festival set
+   */
+  const getShowLabel = (show) => {
+    const place = `${show.eventDate} - ${show.venue}, ${show.city}, ${show.country}`;
+    if (show.showType !== "festival") return place;
+    return `${place} (festival set: ${show.showTypeReasons?.join("; ")})`;
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="full" scrollBehavior="inside">
+      <ModalOverlay />
+      <ModalContent bg="gray.900" color="white">
+        <ModalHeader>
+          {tourData?.bandName} - {tourData?.tourName}: show by show
+        </ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          {loading && (
+            <Flex justify="center" align="center" py={10}>
+              <Spinner size="sm" mr={2} />
+              <Text>Loading setlists...</Text>
+            </Flex>
+          )}
+
+          {error && !loading && (
+            <Text color="red.300" textAlign="center" py={10}>
+              {error}
+            </Text>
+          )}
+
+          {matrix && !loading && !error && (
+            <Box overflow="auto" maxH="80vh" border="1px solid" borderColor="gray.700">
+              <Box as="table" sx={{ borderCollapse: "collapse" }}>
+                <Box as="thead">
+                  <Box as="tr">
+                    <Box
+                      as="th"
+                      position="sticky"
+                      top={0}
+                      left={0}
+                      zIndex={2}
+                      bg="gray.800"
+                      minW="200px"
+                      textAlign="left"
+                      px={2}
+                      fontSize="xs"
+                    >
+                      {matrix.totalShows} shows
+                      {festivalCount > 0 && ` (★ ${festivalCount} festival)`}
+                    </Box>
+                    {matrix.shows.map((show) => (
+                      <Tooltip key={show.id} label={getShowLabel(show)}>
+                        <Box
+                          as="th"
+                          position="sticky"
+                          top={0}
+                          zIndex={1}
+                          bg="gray.800"
+                          minW={cellSize}
+                          h="90px"
+                          fontSize="2xs"
+                          fontWeight="normal"
+                          verticalAlign="bottom"
+                          color={show.showType === "festival" ? "orange.300" : undefined}
+                          sx={{ writingMode: "vertical-rl", transform: "rotate(180deg)" }}
+                        >
+                          {show.showType === "festival" && "★ "}
+                          {show.eventDate} {show.city}
+                        </Box>
+                      </Tooltip>
+                    ))}
+                  </Box>
+                </Box>
+                <Box as="tbody">
+                  {matrix.songs.map((song) => (
+                    <Box as="tr" key={song.key}>
+                      <Box
+                        as="td"
+                        position="sticky"
+                        left={0}
+                        zIndex={1}
+                        bg="gray.800"
+                        px={2}
+                        fontSize="xs"
+                        whiteSpace="nowrap"
+                      >
+                        {song.song}
+                        {song.artist !== tourData?.bandName && (
+                          <Text as="span" color="gray.400">
+                            {" "}
+                            ({song.artist})
+                          </Text>
+                        )}
+                      </Box>
+                      {matrix.shows.map((show) => {
+                        const played = playedByShow.get(show.id)?.get(song.key);
+                        return (
+                          <Box
+                            as="td"
+                            key={show.id}
+                            w={cellSize}
+                            h={cellSize}
+                            textAlign="center"
+                            fontSize="2xs"
+                            border="1px solid"
+                            borderColor="gray.800"
+                            bg={
+                              played
+                                ? played.isEncore
+                                  ? "purple.500"
+                                  : "teal.500"
+                                : "gray.900"
+                            }
+                          >
+                            {played?.position}
+                          </Box>
+                        );
+                      })}
+                    </Box>
+                  ))}
+                </Box>
+              </Box>
+            </Box>
+          )}
+        </ModalBody>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default ShowMatrix;
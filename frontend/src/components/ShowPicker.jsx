@@ -0,0 +1,149 @@
+// File: ./src/components/ShowPicker.jsx
+import { useEffect, useState } from "react";
+import {
+  Box,
+  Button,
+  Checkbox,
+  Flex,
+  Input,
+  Select,
+  Spinner,
+  Text,
+  VStack,
+} from "@chakra-ui/react";
+import { fetchUpcomingShows } from "../api/setlistService";
+
+/**
+ * Show Picker Component
+ * - Picks the upcoming show to predict: one of the artist's announced
+ *   shows, or a date and place typed in by hand
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.artist Selected artist ({ name, id, url })
+ * @param {Function} props.onPredict Called with { date, city, countryCode, venue, showType }
+ * @param {boolean} [props.isDisabled] Disables the form while a prediction is loading
+ */
+const ShowPicker = ({ artist, onPredict, isDisabled = false }) => {
+  const [upcomingShows, setUpcomingShows] = useState([]);
+  const [showsLoading, setShowsLoading] = useState(false);
+  const [date, setDate] = useState("");
+  const [city, setCity] = useState("");
+  const [countryCode, setCountryCode] = useState("");
+  const [venue, setVenue] = useState("");
+  const [isFestival, setIsFestival] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setUpcomingShows([]);
+    setShowsLoading(true);
+    fetchUpcomingShows(artist)
+      .then((shows) => {
+        if (!cancelled) setUpcomingShows(shows);
+      })
+      .catch(() => {
+        // The form still works without the list
+      })
+      .finally(() => {
+        if (!cancelled) setShowsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [artist]);
+
+  const handlePickShow = (showId) => {
+    const show = upcomingShows.find((entry) => entry.id === showId);
+    if (!show) return;
+    setDate(show.date);
+    setCity(show.city || "");
+    setCountryCode(show.countryCode || "");
+    setVenue(show.venue || "");
+    setIsFestival(show.showType === "festival");
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onPredict({
+      date,
+      city: city.trim() || null,
+      countryCode: countryCode.trim().toUpperCase() || null,
+      venue: venue.trim() || null,
+      showType: isFestival ? "festival" : "headline",
+    });
+  };
+
+  return (
+    <Box as="form" onSubmit={handleSubmit} width="100%" bg="gray.800" borderRadius="xl" p={4}>
+      <VStack spacing={3} align="stretch">
+        {showsLoading ? (
+          <Flex align="center" fontSize="sm" color="gray.400">
+            <Spinner size="xs" mr={2} />
+            Looking for announced shows...
+          </Flex>
+        ) : upcomingShows.length > 0 ? (
+          <Select
+            placeholder="Pick an announced show"
+            onChange={(e) => handlePickShow(e.target.value)}
+            isDisabled={isDisabled}
+          >
+            {upcomingShows.map((show) => (
+              <option key={show.id} value={show.id}>
+                {show.date} · {show.venue}, {show.city}
+              </option>
+            ))}
+          </Select>
+        ) : (
+          <Text fontSize="sm" color="gray.400">
+            No announced shows found. Enter the date and place below.
+          </Text>
+        )}
+
+        <Flex gap={2} flexWrap="wrap">
+          <Input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            isRequired
+            flex="1 1 140px"
+            isDisabled={isDisabled}
+          />
+          <Input
+            placeholder="City"
+            value={city}
+            onChange={(e) => setCity(e.target.value)}
+            flex="2 1 160px"
+            isDisabled={isDisabled}
+          />
+          <Input
+            placeholder="Country code (e.g. GB)"
+            value={countryCode}
+            onChange={(e) => setCountryCode(e.target.value)}
+            maxLength={2}
+            flex="1 1 120px"
+            isDisabled={isDisabled}
+          />
+        </Flex>
+        <Input
+          placeholder="Venue or festival (optional)"
+          value={venue}
+          onChange={(e) => setVenue(e.target.value)}
+          isDisabled={isDisabled}
+        />
+        <Flex justify="space-between" align="center" gap={2} flexWrap="wrap">
+          <Checkbox
+            isChecked={isFestival}
+            onChange={(e) => setIsFestival(e.target.checked)}
+            isDisabled={isDisabled}
+          >
+            Festival set
+          </Checkbox>
+          <Button type="submit" colorScheme="brand" isDisabled={isDisabled || !date}>
+            Predict setlist
+          </Button>
+        </Flex>
+      </VStack>
+    </Box>
+  );
+};
+
+export default ShowPicker;
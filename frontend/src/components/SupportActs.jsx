@@ -0,0 +1,146 @@
+// File: ./src/components/SupportActs.jsx
+import { useEffect, useState } from "react";
+import {
+  Badge,
+  Box,
+  Button,
+  Flex,
+  Spinner,
+  Text,
+  VStack,
+  useColorModeValue,
+} from "@chakra-ui/react";
+import { fetchSupportActs, fetchSupportActTracks } from "../api/setlistService";
+
+// Acts listed before the rest are left out
+const MAX_ACTS = 5;
+
+/**
+ * Support Acts Component
+ * - Looks up who else played a sample of the tour's shows (on request, since
+ *   it takes one Setlist.fm query per sampled show)
+ * - Each act's likely songs can be added to the playlist in one click
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.tourData Tour data ({ mbid, tourName, bandName })
+ * @param {Object} props.addedTracks Tracks already added, keyed by act name
+ * @param {Function} props.onChangeTracks Called with (actName, tracks | null) to add or remove an act's songs
+ */
+const SupportActs = ({ tourData, addedTracks, onChangeTracks }) => {
+  const bgColor = useColorModeValue("gray.50", "gray.800");
+  const mutedColor = useColorModeValue("gray.500", "gray.400");
+
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [loadingAct, setLoadingAct] = useState(null);
+
+  // A new tour means a new set of support acts
+  useEffect(() => {
+    setResult(null);
+    setError(null);
+  }, [tourData.mbid, tourData.tourName]);
+
+  const handleFind = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setResult(
+        await fetchSupportActs(tourData.mbid, tourData.tourName, tourData.bandName)
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleAct = async (act) => {
+    if (addedTracks[act.name]) {
+      onChangeTracks(act.name, null);
+      return;
+    }
+    setLoadingAct(act.name);
+    setError(null);
+    try {
+      const tracks = await fetchSupportActTracks(act.songs);
+      onChangeTracks(
+        act.name,
+        tracks.filter((track) => track.uri)
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingAct(null);
+    }
+  };
+
+  return (
+    <Box width="full" bg={bgColor} p={3} mb={4}>
+      <Flex justify="space-between" align="center" gap={2}>
+        <Text fontSize="sm" fontWeight="semibold">
+          Support acts
+        </Text>
+        {!result && (
+          <Button size="xs" variant="outline" onClick={handleFind} isLoading={loading}>
+            Find support acts
+          </Button>
+        )}
+      </Flex>
+
+      {loading && (
+        <Flex align="center" mt={2} fontSize="sm" color={mutedColor}>
+          <Spinner size="xs" mr={2} />
+          Checking who else played these shows...
+        </Flex>
+      )}
+
+      {error && (
+        <Text fontSize="sm" color="red.300" mt={2}>
+          {error}
+        </Text>
+      )}
+
+      {result && result.acts.length === 0 && (
+        <Text fontSize="sm" color={mutedColor} mt={2}>
+          No other acts found on {result.sampledShows} sampled shows
+        </Text>
+      )}
+
+      {result && result.acts.length > 0 && (
+        <VStack align="stretch" spacing={2} mt={2}>
+          {result.acts.slice(0, MAX_ACTS).map((act) => (
+            <Flex key={act.mbid || act.name} justify="space-between" align="center" gap={2}>
+              <Box minW={0}>
+                <Text fontSize="sm" noOfLines={1}>
+                  <Text as="strong">{act.name}</Text>{" "}
+                  <Badge colorScheme={act.role === "co-headliner" ? "purple" : "gray"}>
+                    {act.role === "co-headliner" ? "Co-headliner" : "Support"}
+                  </Badge>
+                </Text>
+                <Text fontSize="xs" color={mutedColor}>
+                  {act.showCount} of {act.sampledShows} sampled shows
+                </Text>
+              </Box>
+              {act.songs.length > 0 && (
+                <Button
+                  size="xs"
+                  flexShrink={0}
+                  variant={addedTracks[act.name] ? "solid" : "outline"}
+                  onClick={() => handleToggleAct(act)}
+                  isLoading={loadingAct === act.name}
+                >
+                  {addedTracks[act.name]
+                    ? `Added ${addedTracks[act.name].length} songs`
+                    : "Add likely songs"}
+                </Button>
+              )}
+            </Flex>
+          ))}
+        </VStack>
+      )}
+    </Box>
+  );
+};
+
+export default SupportActs;
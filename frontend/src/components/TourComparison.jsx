@@ -0,0 +1,190 @@
+// File: ./src/components/TourComparison.jsx
+import { useEffect, useState } from "react";
+import {
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalCloseButton,
+  Box,
+  Flex,
+  Text,
+  Badge,
+  Spinner,
+  SimpleGrid,
+  ButtonGroup,
+  Button,
+} from "@chakra-ui/react";
+import { compareTours } from "../api/setlistService";
+
+// Likelihood change thresholds offered in the view (percentage points)
+const THRESHOLDS = [10, 20, 30];
+
+/**
+ * Formats a 0-1 play rate as a percentage
+ */
+const formatRate = (rate) => `${Math.round(rate * 100)}%`;
+
+/**
+ * One column of the diff (added, dropped, changed or staples)
+ *
+ * @param {Object} props Component props
+ * @param {string} props.title Column heading
+ * @param {string} props.color Chakra color scheme for the heading badge
+ * @param {Array} props.songs Songs in this column ({ key, song, fromRate, toRate, change })
+ * @param {Function} props.renderRate Returns the rate text for a song
+ */
+const DiffColumn = ({ title, color, songs, renderRate }) => (
+  <Box bg="gray.800" p={3}>
+    <Flex align="center" mb={2} gap={2}>
+      <Badge colorScheme={color}>{title}</Badge>
+      <Text fontSize="xs" color="gray.400">
+        {songs.length} song{songs.length !== 1 ? "s" : ""}
+      </Text>
+    </Flex>
+    {songs.length === 0 ? (
+      <Text fontSize="sm" color="gray.500">
+        None
+      </Text>
+    ) : (
+      songs.map((entry) => (
+        <Flex key={entry.key} justify="space-between" fontSize="sm" py={0.5}>
+          <Text noOfLines={1} mr={2}>
+            {entry.song}
+          </Text>
+          <Text color="gray.400" whiteSpace="nowrap">
+            {renderRate(entry)}
+          </Text>
+        </Flex>
+      ))
+    )}
+  </Box>
+);
+
+/**
+ * Tour Comparison Component
+ * - Diffs two tours picked from the Past Tours list: songs added, songs
+ *   dropped, songs whose likelihood moved, and staples played on both
+ *
+ * @param {Object} props Component props
+ * @param {boolean} props.isOpen Whether the modal is open
+ * @param {Function} props.onClose Close handler
+ * @param {Object} props.artist Selected artist ({ name, id, url })
+ * @param {string} props.fromTour Earlier / base tour name
+ * @param {string} props.toTour Tour to compare against
+ */
+const TourComparison = ({ isOpen, onClose, artist, fromTour, toTour }) => {
+  const [comparison, setComparison] = useState(null);
+  const [threshold, setThreshold] = useState(20);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Refetch whenever the pair of tours or the threshold changes
+  useEffect(() => {
+    if (!isOpen || !artist || !fromTour || !toTour) {
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    compareTours(artist, fromTour, toTour, threshold / 100)
+      .then((data) => {
+        if (!cancelled) setComparison(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, artist, fromTour, toTour, threshold]);
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="4xl" scrollBehavior="inside">
+      <ModalOverlay />
+      <ModalContent bg="gray.900" color="white">
+        <ModalHeader>
+          {artist?.name}: {fromTour} vs {toTour}
+        </ModalHeader>
+        <ModalCloseButton />
+        <ModalBody pb={6}>
+          <Flex align="center" gap={3} mb={4} flexWrap="wrap">
+            <Text fontSize="sm" color="gray.400">
+              Report likelihood changes of at least
+            </Text>
+            <ButtonGroup size="xs" isAttached variant="outline">
+              {THRESHOLDS.map((points) => (
+                <Button
+                  key={points}
+                  onClick={() => setThreshold(points)}
+                  isActive={threshold === points}
+                >
+                  {points} pts
+                </Button>
+              ))}
+            </ButtonGroup>
+          </Flex>
+
+          {loading && (
+            <Flex justify="center" align="center" py={10}>
+              <Spinner size="sm" mr={2} />
+              <Text>Comparing setlists...</Text>
+            </Flex>
+          )}
+
+          {error && !loading && (
+            <Text color="red.300" textAlign="center" py={10}>
+              {error}
+            </Text>
+          )}
+
+          {comparison && !loading && !error && (
+            <>
+              <Text fontSize="sm" color="gray.400" mb={4}>
+                {comparison.fromTour.tourName}: {comparison.fromTour.totalShows}{" "}
+                shows · {comparison.toTour.tourName}:{" "}
+                {comparison.toTour.totalShows} shows
+              </Text>
+              <SimpleGrid columns={{ base: 1, md: 2 }} spacing={4}>
+                <DiffColumn
+                  title="Added"
+                  color="green"
+                  songs={comparison.added}
+                  renderRate={(entry) => formatRate(entry.toRate)}
+                />
+                <DiffColumn
+                  title="Dropped"
+                  color="red"
+                  songs={comparison.dropped}
+                  renderRate={(entry) => `was ${formatRate(entry.fromRate)}`}
+                />
+                <DiffColumn
+                  title="Changed"
+                  color="yellow"
+                  songs={comparison.changed}
+                  renderRate={(entry) =>
+                    `${formatRate(entry.fromRate)} → ${formatRate(entry.toRate)}`
+                  }
+                />
+                <DiffColumn
+                  title="Shared staples"
+                  color="purple"
+                  songs={comparison.staples}
+                  renderRate={(entry) =>
+                    `${formatRate(entry.fromRate)} / ${formatRate(entry.toRate)}`
+                  }
+                />
+              </SimpleGrid>
+            </>
+          )}
+        </ModalBody>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default TourComparison;
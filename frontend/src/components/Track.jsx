@@ -20,10 +20,29 @@ const MotionFlex = motion(Flex);
 const MotionBadge = motion(Badge);
 const MotionText = motion(Text);
 
+// Confidence intervals wider than 40 points get a "Low data" badge
+const LOW_DATA_INTERVAL_WIDTH = 0.4;
+
+// Badge and progress ring color for each likelihood assessment
+const LIKELIHOOD_COLORS = {
+  "Very Likely": "purple",
+  Likely: "blue",
+  Possible: "yellow",
+  Rare: "orange",
+  "Very Rare": "red",
+};
+
 /**
  * Enhanced Track component with modern data visualization and balanced animations
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.item Track data from the setlist search
+ * @param {Object} props.tourData Tour summary ({ bandName, tourName, totalShows, recency, rotationSlots })
+ * @param {string} [props.likelihoodMode] "tour" for tour-wide play rate, "recent" for recency-weighted,
+ *   "standard" for plays that weren't acoustic, reworked, guest or medley versions,
+ *   "show" for the probability tuned to one upcoming show
  */
-export default function Track({ item, tourData }) {
+export default function Track({ item, tourData, likelihoodMode = "tour" }) {
   // State for animated percentage
   const [animatedPercentage, setAnimatedPercentage] = useState(0);
 
@@ -36,6 +55,8 @@ export default function Track({ item, tourData }) {
   const statsBg = useColorModeValue("gray.50", "gray.700");
   const textColor = useColorModeValue("gray.800", "white");
   const mutedColor = useColorModeValue("gray.500", "gray.400");
+  const progressTrackColor = useColorModeValue("gray.100", "gray.600");
+  const dividerColor = useColorModeValue("gray.200", "gray.600");
   // Spotify brand green color
   const spotifyGreen = "#1DB954";
   const spotifyGreenHover = "#1AA34A";
@@ -76,7 +97,7 @@ export default function Track({ item, tourData }) {
         cancelAnimationFrame(animationFrameId);
       }
     };
-  }, []);
+  }, [likelihoodMode]);
 
   /**
    * Convert a Spotify URI ("spotify:track:12345") into an open.spotify.com link
@@ -136,11 +157,30 @@ export default function Track({ item, tourData }) {
     return cleanedTitle.trim();
   };
 
+  /**
+   * Times played for the current mode ("standard" skips variant performances)
+   */
+  const getPlayCount = () =>
+    likelihoodMode === "standard" && typeof item.standardCount === "number"
+      ? item.standardCount
+      : item.count;
+
   /**
    * Calculate the likelihood percentage (capped at 100%)
+   * - "recent" mode uses the server's recency-weighted probability when present
+   * - "show" mode uses the probability tuned to the predicted show
    */
   const calculateLikelihood = () => {
-    const percentage = Math.round((item.count / tourData.totalShows) * 100);
+    if (likelihoodMode === "show" && typeof item.showProbability === "number") {
+      return Math.min(Math.round(item.showProbability * 100), 100);
+    }
+    if (
+      likelihoodMode === "recent" &&
+      typeof item.weightedProbability === "number"
+    ) {
+      return Math.min(Math.round(item.weightedProbability * 100), 100);
+    }
+    const percentage = Math.round((getPlayCount() / tourData.totalShows) * 100);
     return Math.min(percentage, 100);
   };
 
@@ -148,26 +188,37 @@ export default function Track({ item, tourData }) {
    * Return the times played, capped at total shows
    */
   const getDisplayCount = () => {
-    return Math.min(item.count, tourData.totalShows);
+    return Math.min(getPlayCount(), tourData.totalShows);
   };
 
+
   /**
-   * Get color scheme based on likelihood percentage
+   * 95% confidence interval for the tour-wide play rate ({ low, high }, 0-1)
+   * - Only the "tour" percentage is a plain play rate the interval applies to
    */
-  const getLikelihoodColor = () => {
-    const percentage = calculateLikelihood();
-    if (percentage >= 80) return "purple";
-    if (percentage >= 60) return "blue";
-    if (percentage >= 40) return "yellow";
-    if (percentage >= 20) return "orange";
-    return "red";
-  };
+  const getPlayRateInterval = () =>
+    likelihoodMode === "tour" && item.playRateInterval ? item.playRateInterval : null;
+
+  /**
+   * Whether the interval is too wide to trust the percentage on its own
+   */
+  const isLowData = (interval) => interval.high - interval.low > LOW_DATA_INTERVAL_WIDTH;
 
   /**
    * Get text for likelihood assessment
+   * - With a confidence interval, the strong labels also need the interval to
+   *   back them up, so 3 of 4 shows reads "Possible" while 60 of 80 is "Likely"
    */
   const getLikelihoodText = () => {
     const percentage = calculateLikelihood();
+    const interval = getPlayRateInterval();
+    if (interval) {
+      if (percentage >= 80 && interval.low >= 0.6) return "Very Likely";
+      if (percentage >= 60 && interval.low >= 0.4) return "Likely";
+      if (percentage < 20 && interval.high < 0.4) return "Very Rare";
+      if (percentage < 40 && interval.high < 0.6) return "Rare";
+      return "Possible";
+    }
     if (percentage >= 80) return "Very Likely";
     if (percentage >= 60) return "Likely";
     if (percentage >= 40) return "Possible";
@@ -175,6 +226,127 @@ export default function Track({ item, tourData }) {
     return "Very Rare";
   };
 
+  /**
+   * Get color scheme matching the likelihood assessment
+   */
+  const getLikelihoodColor = () => LIKELIHOOD_COLORS[getLikelihoodText()];
+
+  /**
+   * Get badges describing where in the show this song is usually played
+   * - Role badges (opener, closer, encore) need at least half of the plays
+   * - Otherwise falls back to the song's average position in the set
+   */
+  const getPositionBadges = () => {
+    if (!item.count) return [];
+    const badges = [];
+    if (item.openerCount / item.count >= 0.5) {
+      badges.push({ label: "Usual opener", color: "green" });
+    }
+    if (item.closerCount / item.count >= 0.5) {
+      badges.push({ label: "Main set closer", color: "pink" });
+    }
+    if (item.encoreCount / item.count >= 0.5) {
+      badges.push({ label: "Encore staple", color: "cyan" });
+    }
+    if (badges.length === 0 && typeof item.avgPosition === "number") {
+      if (item.avgPosition < 0.33) {
+        badges.push({ label: "Early in set", color: "gray" });
+      } else if (item.avgPosition > 0.67) {
+        badges.push({ label: "Late in set", color: "gray" });
+      } else {
+        badges.push({ label: "Mid-set", color: "gray" });
+      }
+    }
+    return badges;
+  };
+
+  /**
+   * Get the trend badge for songs whose recent play rate changed sharply
+   */
+  const getTrendBadge = () => {
+    const recentWindow = tourData.recency?.recentWindow;
+    const recentText =
+      typeof item.recentRate === "number" && recentWindow
+        ? `Played at ${Math.round(item.recentRate * recentWindow)} of the last ${recentWindow} shows`
+        : "";
+    if (item.trend === "rising") {
+      return { label: "Rising", color: "green", tooltip: recentText };
+    }
+    if (item.trend === "dropped") {
+      return { label: "Dropped", color: "red", tooltip: recentText };
+    }
+    return null;
+  };
+
+  /**
+   * Describe how the song was performed: acoustic or reworked versions,
+   * guests, medleys, and snippets (which don't count as full plays)
+   */
+  const getVariantNotes = () => {
+    const notes = [];
+    if (item.acousticCount) notes.push(`Acoustic ${item.acousticCount}x`);
+    if (item.versions?.length) {
+      notes.push(`${item.versions.join(" / ")} version ${item.alternateCount}x`);
+    }
+    if (item.guests?.length) notes.push(`With ${item.guests.join(", ")}`);
+    if (item.medleyCount) notes.push(`In a medley ${item.medleyCount}x`);
+    if (item.snippetCount) notes.push(`Snippet ${item.snippetCount}x`);
+    return notes;
+  };
+
+  /**
+   * Get the debut / bust-out badge from the artist's full song history
+   * - Only present once the Past Tours scan has cached that history
+   */
+  const getCareerBadge = () => {
+    if (item.debut) {
+      return { label: "Debut", color: "purple", tooltip: "First played on this tour" };
+    }
+    if (item.bustOut) {
+      const gapText =
+        typeof item.showsSincePreviousPlay === "number"
+          ? ` (${item.showsSincePreviousPlay} shows earlier)`
+          : "";
+      return {
+        label: "Bust-out",
+        color: "orange",
+        tooltip: `Previously played ${item.previousPlay}${gapText}`,
+      };
+    }
+    return null;
+  };
+
+  /**
+   * Get the other songs this one alternates with in a rotation slot
+   */
+  const getRotationPartners = () => {
+    const key = item.key ?? `${item.artist}|${item.song}`;
+    const slot = tourData.rotationSlots?.find((rotationSlot) =>
+      rotationSlot.songs.some((entry) => entry.key === key)
+    );
+    return slot
+      ? slot.songs.filter((entry) => entry.key !== key).map((entry) => entry.song)
+      : [];
+  };
+
+  /**
+   * Describe how long ago the song was last played
+   */
+  const getLastPlayedText = () => {
+    if (typeof item.showsSinceLastPlayed !== "number") return "";
+    if (item.showsSinceLastPlayed === 0) return "Played at the latest show";
+    return `Last played ${item.showsSinceLastPlayed} show${
+      item.showsSinceLastPlayed !== 1 ? "s" : ""
+    } ago`;
+  };
+
+  /**
+   * Whether the song has gone longer than usual without being played
+   */
+  const isDue = () =>
+    typeof item.averageGap === "number" &&
+    item.showsSinceLastPlayed > Math.ceil(item.averageGap);
+
   // Provide a fallback cover image if none is available
   const albumCover = item.image?.url
     ? item.image.url
@@ -183,6 +355,18 @@ export default function Track({ item, tourData }) {
   // Likelihood percentage and color
   const percentage = calculateLikelihood();
   const likelihoodColor = getLikelihoodColor();
+  const positionBadges = getPositionBadges();
+  const trendBadge = getTrendBadge();
+  const careerBadge = getCareerBadge();
+  const playRateInterval = getPlayRateInterval();
+  const intervalText = playRateInterval
+    ? `${Math.round(playRateInterval.low * 100)}–${Math.round(playRateInterval.high * 100)}%`
+    : "";
+  const rotationPartners = getRotationPartners();
+  const lastPlayedText = getLastPlayedText();
+  const variantNotes = getVariantNotes();
+  // Other setlist.fm spellings merged into this song
+  const otherTitles = (item.titles || []).filter((title) => title !== item.song);
 
   // Skip animation if isMobile is undefined (prevents layout shift)
   if (isMobile === undefined) {
@@ -239,6 +423,42 @@ export default function Track({ item, tourData }) {
               {cleanAlbumTitle(item.albumName)}
             </Text>
           )}
+
+          {otherTitles.length > 0 && (
+            <Tooltip label={item.titles.join(" · ")}>
+              <Text fontSize="xs" color={mutedColor} noOfLines={1}>
+                Also listed as {otherTitles.join(" / ")}
+              </Text>
+            </Tooltip>
+          )}
+
+          {rotationPartners.length > 0 && (
+            <Text fontSize="xs" color={mutedColor} noOfLines={1}>
+              Rotates with {rotationPartners.join(" / ")}
+            </Text>
+          )}
+
+          {variantNotes.length > 0 && (
+            <Text fontSize="xs" color={mutedColor} noOfLines={1}>
+              {variantNotes.join(" · ")}
+            </Text>
+          )}
+
+          {/* Where in the show this song usually lands */}
+          {positionBadges.length > 0 && (
+            <Flex mt={1} gap={1} flexWrap="wrap">
+              {positionBadges.map((badge) => (
+                <Badge
+                  key={badge.label}
+                  colorScheme={badge.color}
+                  variant="subtle"
+                  fontSize="2xs"
+                >
+                  {badge.label}
+                </Badge>
+              ))}
+            </Flex>
+          )}
         </Box>
       </Flex>
 
@@ -255,25 +475,35 @@ export default function Track({ item, tourData }) {
         transition={{ duration: 0.35, delay: 0.1 }} // Reduced from 0.65/0.2 to 0.35/0.1
       >
         {/* Circular progress to visualize likelihood */}
-        <Box position="relative" mr={4}>
-          <CircularProgress
-            value={animatedPercentage}
-            size="55px"
-            thickness="5px"
-            color={`${likelihoodColor}.400`}
-            trackColor={useColorModeValue("gray.100", "gray.600")}
-          >
-            <CircularProgressLabel fontWeight="bold" fontSize="xs">
-              {animatedPercentage}%
-            </CircularProgressLabel>
-          </CircularProgress>
-        </Box>
+        <Tooltip
+          label={`95% range: ${intervalText} (from ${tourData.totalShows} shows)`}
+          isDisabled={!playRateInterval}
+        >
+          <Flex position="relative" mr={4} direction="column" align="center">
+            <CircularProgress
+              value={animatedPercentage}
+              size="55px"
+              thickness="5px"
+              color={`${likelihoodColor}.400`}
+              trackColor={progressTrackColor}
+            >
+              <CircularProgressLabel fontWeight="bold" fontSize="xs">
+                {animatedPercentage}%
+              </CircularProgressLabel>
+            </CircularProgress>
+            {playRateInterval && (
+              <Text fontSize="2xs" color={mutedColor} whiteSpace="nowrap">
+                {intervalText}
+              </Text>
+            )}
+          </Flex>
+        </Tooltip>
 
         {/* Vertical divider */}
         <Box
           width="1px"
           height="50px"
-          bg={useColorModeValue("gray.200", "gray.600")}
+          bg={dividerColor}
           mr={4}
         />
 
@@ -294,10 +524,80 @@ export default function Track({ item, tourData }) {
             {getLikelihoodText()}
           </Badge>
 
+          {playRateInterval && isLowData(playRateInterval) && (
+            <Tooltip
+              label={`Only ${tourData.totalShows} shows with setlists, so ${percentage}% could be anywhere from ${intervalText}`}
+            >
+              <Badge
+                colorScheme="gray"
+                variant="outline"
+                mb={1}
+                px={2}
+                alignSelf="flex-end"
+              >
+                Low data
+              </Badge>
+            </Tooltip>
+          )}
+
+          {trendBadge && (
+            <Tooltip label={trendBadge.tooltip} isDisabled={!trendBadge.tooltip}>
+              <Badge
+                colorScheme={trendBadge.color}
+                variant="outline"
+                mb={1}
+                px={2}
+                alignSelf="flex-end"
+              >
+                {trendBadge.label}
+              </Badge>
+            </Tooltip>
+          )}
+
+          {careerBadge && (
+            <Tooltip label={careerBadge.tooltip}>
+              <Badge
+                colorScheme={careerBadge.color}
+                variant="solid"
+                mb={1}
+                px={2}
+                alignSelf="flex-end"
+              >
+                {careerBadge.label}
+              </Badge>
+            </Tooltip>
+          )}
+
           <Text fontSize="xs" color={mutedColor} mb={1} textAlign="right">
             {getDisplayCount()} of {tourData.totalShows} shows
           </Text>
 
+          {lastPlayedText && (
+            <Tooltip
+              label={
+                item.lastPlayed
+                  ? `${item.lastPlayed.eventDate} - ${item.lastPlayed.venue}, ${item.lastPlayed.city}`
+                  : ""
+              }
+              isDisabled={!item.lastPlayed}
+            >
+              <Text fontSize="xs" color={mutedColor} mb={1} textAlign="right">
+                {lastPlayedText}
+                {isDue() && (
+                  <Badge colorScheme="yellow" variant="subtle" ml={1}>
+                    Due
+                  </Badge>
+                )}
+              </Text>
+            </Tooltip>
+          )}
+
+          {item.playedPreviousNight && (
+            <Text fontSize="xs" color={mutedColor} mb={1} textAlign="right">
+              Played the night before
+            </Text>
+          )}
+
           {/* Spotify Button - consistent size for both states */}
           <Button
             as={item.uri ? "a" : "button"}
@@ -1,6 +1,8 @@
 import React from "react";
 import {
   Button,
+  ButtonGroup,
+  Checkbox,
   Flex,
   Box,
   Divider,
@@ -12,15 +14,27 @@ import {
   VStack,
   Spinner,
   Fade,
+  useDisclosure,
 } from "@chakra-ui/react";
 import { ExternalLinkIcon, EmailIcon } from "@chakra-ui/icons";
 import Track from "./Track";
 import AlertMessage from "./AlertMessage";
 import ProgressIndicator from "./ProgressIndicator";
+import ShowMatrix from "./ShowMatrix";
+import RotationSlots from "./RotationSlots";
+import AlbumBreakdown from "./AlbumBreakdown";
+import CoversSummary from "./CoversSummary";
+import SupportActs from "./SupportActs";
+import VenueInsights from "./VenueInsights";
 import { useAuth } from "../hooks/useAuth";
 import { useSetlist } from "../hooks/useSetlist";
 import { useSpotify } from "../hooks/useSpotify";
 import { getFromLocalStorage } from "../utils/storage";
+import {
+  orderByPredictedSetlist,
+  getShowLengthText,
+  getShowPredictionText,
+} from "../utils/setlistHelpers";
 import spotifyLogo from "../assets/Spotify_Full_Logo_RGB_Green.png";
 
 export default function TracksHUD() {
@@ -30,15 +44,98 @@ export default function TracksHUD() {
   const {
     spotifyData,
     tourData,
+    predictedSetlist,
     loading,
     playlistNotification,
     setNotification,
     progress,
   } = useSetlist();
 
+  const matrixModal = useDisclosure();
+
+  // "likelihood" = most played first, "predicted" = predicted show order
+  const [trackOrder, setTrackOrder] = React.useState("likelihood");
+  // "tour" = tour-wide play rate, "recent" = recency-weighted play rate
+  const [likelihoodMode, setLikelihoodMode] = React.useState("tour");
+  // Only count plays that weren't acoustic, reworked, guest or medley versions
+  const [standardOnly, setStandardOnly] = React.useState(false);
+
   // Determine if we should show the tracks section
   const showTracks = spotifyData?.length > 0 && !loading;
 
+  // Tracks arranged in the predicted running order of a show
+  const predictedTracks = React.useMemo(
+    () => orderByPredictedSetlist(spotifyData, predictedSetlist),
+    [spotifyData, predictedSetlist]
+  );
+  const showPredicted = trackOrder === "predicted" && predictedTracks.length > 0;
+
+  // Recency-weighted scores are only present on results from newer servers
+  const hasRecencyScores =
+    typeof spotifyData?.[0]?.weightedProbability === "number";
+  const showRecent = likelihoodMode === "recent" && hasRecencyScores;
+
+  // Only offer the standard-versions filter when some plays were variants
+  const hasVariantPlays = spotifyData?.some(
+    (track) =>
+      typeof track.standardCount === "number" &&
+      track.standardCount < track.count
+  );
+  const showStandard = standardOnly && hasVariantPlays && !showRecent;
+
+  // Tracks by likelihood, re-ranked by recent form or standard plays when
+  // those views are active
+  const likelihoodTracks = React.useMemo(() => {
+    if (showRecent) {
+      return [...spotifyData].sort(
+        (a, b) => b.weightedProbability - a.weightedProbability
+      );
+    }
+    if (showStandard) {
+      return [...spotifyData].sort((a, b) => b.standardCount - a.standardCount);
+    }
+    return spotifyData;
+  }, [spotifyData, showRecent, showStandard]);
+  // Leave covers out of the list (and the playlist built from it)
+  const [excludeCovers, setExcludeCovers] = React.useState(false);
+  const hasCovers = spotifyData?.some((track) => track.isCover);
+  const orderedTracks = showPredicted ? predictedTracks : likelihoodTracks;
+  const displayedTracks =
+    excludeCovers && hasCovers
+      ? orderedTracks.filter((track) => !track.isCover)
+      : orderedTracks;
+
+  // Optionally cut the playlist down to a typical show's length
+  const [sizeToShow, setSizeToShow] = React.useState(false);
+  const expectedLength = Math.round(
+    tourData?.showPrediction?.showLength || tourData?.showLength?.median || 0
+  );
+  // Likely songs of support acts the user chose to add, keyed by act name
+  const [supportActTracks, setSupportActTracks] = React.useState({});
+  React.useEffect(() => {
+    setSupportActTracks({});
+  }, [tourData]);
+  const handleSupportActTracks = (actName, tracks) => {
+    setSupportActTracks((current) => {
+      const next = { ...current };
+      if (tracks) {
+        next[actName] = tracks;
+      } else {
+        delete next[actName];
+      }
+      return next;
+    });
+  };
+  const headlinerTracks =
+    sizeToShow && expectedLength > 0
+      ? displayedTracks.slice(0, expectedLength)
+      : displayedTracks;
+  // Support acts play first, so their songs open the playlist
+  const playlistTracks = [
+    ...Object.values(supportActTracks).flat(),
+    ...headlinerTracks,
+  ];
+
   // Clears prev playlist URL when a new search is initiated
   React.useEffect(() => {
     // Keep track of previous spotifyData length to detect new searches
@@ -62,7 +159,7 @@ export default function TracksHUD() {
 
     if (hasConsented) {
       // If they have consented, proceed with login
-      login({ spotifyData, tourData });
+      login({ spotifyData, tourData, predictedSetlist });
     } else {
       // We no longer need to open the consent modal here
       // The app-level modal will handle this
@@ -148,6 +245,24 @@ export default function TracksHUD() {
                   ":
                 </Text>
               )}
+              {getShowLengthText(tourData.showLength) && (
+                <Text fontSize="sm" color="gray.400" mt={1}>
+                  {getShowLengthText(tourData.showLength)}
+                </Text>
+              )}
+              {tourData.showPrediction && (
+                <Text fontSize="sm" color="brand.300" mt={1}>
+                  {getShowPredictionText(tourData.showPrediction)}
+                </Text>
+              )}
+              {/* Debut/bust-out flags need the artist's full history from Past Tours or Career stats */}
+              {tourData.careerHistory === "missing" && (
+                <Text fontSize="sm" color="gray.400" mt={1}>
+                  Debuts and bust-outs show up once the full setlist history of{" "}
+                  {tourData.bandName} has been loaded from Past Tours or Career
+                  stats.
+                </Text>
+              )}
             </Box>
 
             {/* Login/Create Playlist Button */}
@@ -188,12 +303,28 @@ export default function TracksHUD() {
                         px={6}
                         py={3}
                         colorScheme="brand"
-                        onClick={createPlaylist}
+                        onClick={() => createPlaylist(playlistTracks)}
                         isDisabled={isCreatingPlaylist}
                       >
                         Create Playlist
                       </Button>
                     </Flex>
+                    {expectedLength > 0 &&
+                      expectedLength < displayedTracks.length && (
+                        <Checkbox
+                          size="sm"
+                          isChecked={sizeToShow}
+                          onChange={(e) => setSizeToShow(e.target.checked)}
+                        >
+                          Only the first {expectedLength} songs (a typical show)
+                        </Checkbox>
+                      )}
+                    {playlistTracks.length > headlinerTracks.length && (
+                      <Text fontSize="sm" color="gray.400">
+                        Includes {playlistTracks.length - headlinerTracks.length}{" "}
+                        support act songs
+                      </Text>
+                    )}
                   </VStack>
 
                   {/* Simple creating playlist indicator */}
@@ -230,16 +361,138 @@ export default function TracksHUD() {
               )}
             </Flex>
 
+            {/* Track order and likelihood toggles */}
+            <Flex
+              justify="center"
+              flexWrap="wrap"
+              gap={3}
+              mb={4}
+              width="full"
+            >
+              {predictedTracks.length > 0 && (
+                <ButtonGroup size="sm" isAttached variant="outline">
+                  <Button
+                    onClick={() => setTrackOrder("likelihood")}
+                    isActive={!showPredicted}
+                  >
+                    By likelihood
+                  </Button>
+                  <Button
+                    onClick={() => setTrackOrder("predicted")}
+                    isActive={showPredicted}
+                  >
+                    Predicted show order
+                  </Button>
+                </ButtonGroup>
+              )}
+              {/* The matrix refetches by MBID, so it needs a named tour found by MBID */}
+              {tourData.mbid && tourData.tourName !== "No Tour Info" && (
+                <Button size="sm" variant="outline" onClick={matrixModal.onOpen}>
+                  Show by show
+                </Button>
+              )}
+              {hasRecencyScores && (
+                <ButtonGroup size="sm" isAttached variant="outline">
+                  <Button
+                    onClick={() => setLikelihoodMode("tour")}
+                    isActive={!showRecent}
+                  >
+                    Whole tour
+                  </Button>
+                  <Button
+                    onClick={() => setLikelihoodMode("recent")}
+                    isActive={showRecent}
+                  >
+                    Recent form
+                  </Button>
+                </ButtonGroup>
+              )}
+              {hasVariantPlays && (
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => setStandardOnly(!standardOnly)}
+                  isActive={showStandard}
+                  isDisabled={showRecent}
+                >
+                  Standard versions only
+                </Button>
+              )}
+              {hasCovers && (
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => setExcludeCovers(!excludeCovers)}
+                  isActive={excludeCovers}
+                >
+                  Hide covers
+                </Button>
+              )}
+            </Flex>
+
+            <RotationSlots rotationSlots={tourData.rotationSlots} />
+
+            <AlbumBreakdown albumBreakdown={tourData.albumBreakdown} />
+
+            <CoversSummary
+              coversSummary={tourData.coversSummary}
+              totalShows={tourData.totalShows}
+            />
+
+            <VenueInsights venueInsights={tourData.venueInsights} />
+
+            {/* Support acts are looked up by MBID, like the show matrix */}
+            {tourData.mbid && tourData.tourName !== "No Tour Info" && (
+              <SupportActs
+                tourData={tourData}
+                addedTracks={supportActTracks}
+                onChangeTracks={handleSupportActTracks}
+              />
+            )}
+
             {/* Tracks list */}
             <Box width="full">
-              {spotifyData.map((item) => (
-                <Track key={item.id} item={item} tourData={tourData} />
+              {displayedTracks.map((item, index) => (
+                <React.Fragment key={item.id}>
+                  {/* Mark where the encore starts in the predicted order */}
+                  {showPredicted &&
+                    item.isEncore &&
+                    !displayedTracks[index - 1]?.isEncore && (
+                      <Text
+                        fontSize="sm"
+                        fontWeight="semibold"
+                        color="gray.400"
+                        mt={4}
+                      >
+                        Encore
+                      </Text>
+                    )}
+                  <Track
+                    item={item}
+                    tourData={tourData}
+                    likelihoodMode={
+                      showRecent
+                        ? "recent"
+                        : showStandard
+                        ? "standard"
+                        : tourData.showPrediction
+                        ? "show"
+                        : "tour"
+                    }
+                  />
+                </React.Fragment>
               ))}
             </Box>
           </Box>
         )
       )}
 
+      <ShowMatrix
+        isOpen={matrixModal.isOpen}
+        onClose={matrixModal.onClose}
+        tourData={tourData}
+      />
+
       {/* Playlist Notification Message - Keep outside the main section for visibility */}
       {playlistNotification && playlistNotification.message && (
         <AlertMessage
@@ -22,15 +22,38 @@ import {
   MenuList,
   MenuItem,
   Button,
+  useDisclosure,
 } from "@chakra-ui/react";
 import { useSetlist } from "../hooks/useSetlist";
 import { useSpotify } from "../hooks/useSpotify";
 import { server_url } from "../App";
 import { FEATURES } from "../config/features";
 import { useCombobox } from "downshift";
-import { fetchAdvancedToursWithUpdates } from "../api/setlistService";
+import { fetchAdvancedToursWithUpdates, fetchRefreshedTours } from "../api/setlistService";
 import eventSourceService from "../api/sseService";
 import ProgressIndicator from "./ProgressIndicator";
+import TourComparison from "./TourComparison";
+import CareerStats from "./CareerStats";
+import ShowPicker from "./ShowPicker";
+
+/**
+ * Sorts tours newest first (by the first year in their "2019-2020" range),
+ * then by show count
+ */
+const sortToursByYear = (tours) =>
+  [...tours].sort((a, b) => {
+    const getFirstYear = (yearStr) => {
+      if (!yearStr) return 0;
+      const match = yearStr.match(/\d{4}/);
+      return match ? parseInt(match[0]) : 0;
+    };
+
+    const yearA = getFirstYear(b.year);
+    const yearB = getFirstYear(a.year);
+
+    if (yearA !== yearB) return yearA - yearB;
+    return b.showCount - a.showCount;
+  });
 
 /**
  * Component for artist search input
@@ -40,6 +63,7 @@ export default function UserInput() {
   const {
     fetchTourData,
     fetchSpecificTourData,
+    fetchShowPredictionData,
     loading,
     searchForArtists,
     resetSearch,
@@ -50,15 +74,25 @@ export default function UserInput() {
   const [displaySuggestions, setDisplaySuggestions] = useState([]); // Artist search results displayed
   const [selectedArtist, setSelectedArtist] = useState(null);
   const [searchLoading, setSearchLoading] = useState(false);
-  const [tabIndex, setTabIndex] = useState(0); // 0 = Live Shows, 1 = Past Tours
+  const [tabIndex, setTabIndex] = useState(0); // 0 = Live Shows, 1 = Past Tours, 2 = Upcoming Show
   const [tours, setTours] = useState([]);
   const [selectedTour, setSelectedTour] = useState("");
   const [toursLoading, setToursLoading] = useState(false);
   const [advancedProgressPercent, setAdvancedProgressPercent] = useState(null);
   const [advancedProgressMessage, setAdvancedProgressMessage] = useState("");
+  // A stale cached tour list is being refreshed in the background
+  const [toursRefreshing, setToursRefreshing] = useState(false);
+  // setlist.fm artist slug, for linking the artist's setlist.fm page
+  const [setlistSlug, setSetlistSlug] = useState(null);
+  const toursRequestRef = useRef(0);
   const containerRef = useRef(null);
   const [shouldAutoSelect, setShouldAutoSelect] = useState(false);
   const [searchAttempted, setSearchAttempted] = useState(false);
+  // Tour comparison: first tour picked, then the pair shown in the modal
+  const [compareFrom, setCompareFrom] = useState(null);
+  const [comparePair, setComparePair] = useState(null);
+  const comparisonModal = useDisclosure();
+  const careerStatsModal = useDisclosure();
 
   // new artist search
   useEffect(() => {
@@ -133,8 +167,11 @@ export default function UserInput() {
   const fetchTours = async (artist) => {
     if (!artist) return;
 
+    const requestId = ++toursRequestRef.current;
     setToursLoading(true);
+    setToursRefreshing(false);
     setTours([]);
+    setSetlistSlug(null);
     setAdvancedProgressPercent(5);
     setAdvancedProgressMessage("Starting past tours search...");
 
@@ -152,22 +189,14 @@ export default function UserInput() {
       );
 
       if (data.tours && Array.isArray(data.tours)) {
-        const sortedTours = data.tours.sort((a, b) => {
-          const getFirstYear = (yearStr) => {
-            if (!yearStr) return 0;
-            const match = yearStr.match(/\d{4}/);
-            return match ? parseInt(match[0]) : 0;
-          };
-
-          const yearA = getFirstYear(b.year);
-          const yearB = getFirstYear(a.year);
-
-          if (yearA !== yearB) return yearA - yearB;
-          return b.showCount - a.showCount;
-        });
+        const sortedTours = sortToursByYear(data.tours);
 
         console.log("Setting tours:", sortedTours.length, "tours found");
         setTours(sortedTours);
+        setSetlistSlug(data.setlistSlug || null);
+        if (data.refreshing) {
+          refreshTours(artist, requestId);
+        }
       } else {
         console.error("Invalid response format:", data);
         setTours([]);
@@ -183,7 +212,31 @@ export default function UserInput() {
   };
 
   /**
-   * Handles artist selection for both Live Shows and Past Tours
+   * Swaps in the refreshed tour list once the server's background refresh is done
+   * - Ignored if another artist's tours were requested in the meantime
+   * @param {Object} artist The selected artist object
+   * @param {number} requestId The fetchTours call this refresh belongs to
+   * @async
+   */
+  const refreshTours = async (artist, requestId) => {
+    setToursRefreshing(true);
+    try {
+      const data = await fetchRefreshedTours(artist);
+      if (requestId === toursRequestRef.current && Array.isArray(data.tours)) {
+        setTours(sortToursByYear(data.tours));
+      }
+    } catch (error) {
+      // Keep showing the cached list
+      console.error("Error refreshing tours:", error);
+    } finally {
+      if (requestId === toursRequestRef.current) {
+        setToursRefreshing(false);
+      }
+    }
+  };
+
+  /**
+   * Handles artist selection for the Live Shows, Past Tours and Upcoming Show tabs
    * @param {Object} artist The selected artist object
    * @async
    */
@@ -206,6 +259,9 @@ export default function UserInput() {
       // Reset the form
       setArtistQuery("");
       setSelectedArtist(null);
+    } else if (tabIndex === 2) {
+      // Upcoming Show tab - Keep the artist while the show is picked
+      setArtistQuery(artist.name);
     } else {
       // Past Tours tab - Fetch tours for selection
       await fetchTours(artist);
@@ -272,6 +328,45 @@ export default function UserInput() {
     setToursLoading(false);
   };
 
+  /**
+   * Handles the "Compare" button on a tour in the Past Tours list
+   * - First click picks the base tour, second click opens the comparison
+   * @param {Object} tour The tour whose button was clicked
+   */
+  const handleCompareClick = (tour) => {
+    if (!compareFrom) {
+      setCompareFrom(tour.name);
+      return;
+    }
+    if (compareFrom === tour.name) {
+      setCompareFrom(null);
+      return;
+    }
+    setComparePair({
+      artist: selectedArtist,
+      fromTour: compareFrom,
+      toTour: tour.name,
+    });
+    setCompareFrom(null);
+    comparisonModal.onOpen();
+  };
+
+  /**
+   * Handles the show picked in the Upcoming Show tab
+   * @param {Object} show { date, city, countryCode, venue, showType }
+   * @async
+   */
+  const handlePredictShow = async (show) => {
+    if (!selectedArtist) return;
+    window.dispatchEvent(new Event("new-search-started"));
+    if (clearPlaylistUrl) {
+      clearPlaylistUrl();
+    }
+    await fetchShowPredictionData(selectedArtist, show);
+    setArtistQuery("");
+    setSelectedArtist(null);
+  };
+
   /**
    * Handles clicking outside or starting a new search
    */
@@ -282,6 +377,7 @@ export default function UserInput() {
     setDisplaySuggestions([]);
     setTours([]);
     setSelectedTour("");
+    setCompareFrom(null);
     resetSearch();
   };
 
@@ -457,6 +553,40 @@ export default function UserInput() {
               </Box>
             )}
 
+            {tours.length > 0 && (
+              <Flex px={4} pt={3} justify="flex-end" align="center" gap={2}>
+                {toursRefreshing && (
+                  <Flex align="center" gap={1} mr="auto">
+                    <Spinner size="xs" color="gray.400" />
+                    <Text fontSize="xs" color="gray.400">
+                      Checking Setlist.fm for newer shows...
+                    </Text>
+                  </Flex>
+                )}
+                {setlistSlug && (
+                  <Button
+                    as="a"
+                    href={`https://www.setlist.fm/setlists/${setlistSlug}.html`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    size="xs"
+                    variant="outline"
+                  >
+                    setlist.fm
+                  </Button>
+                )}
+                <Button size="xs" variant="outline" onClick={careerStatsModal.onOpen}>
+                  Career stats
+                </Button>
+              </Flex>
+            )}
+
+            {compareFrom && (
+              <Text px={4} pt={3} fontSize="sm" color="brand.300">
+                Pick another tour to compare with {compareFrom}
+              </Text>
+            )}
+
             {tours.length > 0 && (
               <List spacing={0}>
                 {tours.map((tour) => (
@@ -469,10 +599,27 @@ export default function UserInput() {
                     cursor="pointer"
                     onClick={() => handleTourSelect(tour.name, tour)}
                   >
-                    <Text>
-                      {tour.displayName || tour.name} - {tour.showCount} show
-                      {tour.showCount !== 1 ? "s" : ""}
-                    </Text>
+                    <Flex justify="space-between" align="center" gap={2}>
+                      <Text>
+                        {tour.displayName || tour.name} - {tour.showCount} show
+                        {tour.showCount !== 1 ? "s" : ""}
+                      </Text>
+                      <Button
+                        size="xs"
+                        variant={compareFrom === tour.name ? "solid" : "outline"}
+                        flexShrink={0}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleCompareClick(tour);
+                        }}
+                      >
+                        {compareFrom === tour.name
+                          ? "Cancel compare"
+                          : compareFrom
+                          ? "Compare with selected"
+                          : "Compare"}
+                      </Button>
+                    </Flex>
                   </ListItem>
                 ))}
               </List>
@@ -565,6 +712,37 @@ export default function UserInput() {
             >
               Past Tours
             </Tab>
+            <Tab
+              _selected={{
+                color: "brand.300",
+                _after: {
+                  content: '""',
+                  position: "absolute",
+                  bottom: "-2px",
+                  left: "0",
+                  right: "0",
+                  height: "2px",
+                  bg: "brand.300",
+                },
+              }}
+              _hover={{ color: "brand.400" }}
+              _open={{ animation: "fadeIn 0.2s ease-in-out" }}
+              _close={{ animation: "fadeOut 0.2s ease-in-out" }}
+              fontWeight="medium"
+              fontSize="sm"
+              color="gray.400"
+              pb={3}
+              px={2}
+              bg="transparent"
+              border="none"
+              borderRadius="0"
+              transition="all 0.3s ease"
+              position="relative"
+              minW="auto"
+              w="auto"
+            >
+              Upcoming Show
+            </Tab>
           </TabList>
 
           <TabPanels>
@@ -592,6 +770,23 @@ export default function UserInput() {
                 {renderArtistInput()}
               </VStack>
             </TabPanel>
+
+            {/* Upcoming Show Tab */}
+            <TabPanel px={0}>
+              <VStack spacing={3}>
+                <Text fontWeight="semibold" fontSize="md" color="gray.300">
+                  Enter an Artist, then pick the show to predict:
+                </Text>
+                {renderArtistInput()}
+                {selectedArtist && tabIndex === 2 && (
+                  <ShowPicker
+                    artist={selectedArtist}
+                    onPredict={handlePredictShow}
+                    isDisabled={loading}
+                  />
+                )}
+              </VStack>
+            </TabPanel>
           </TabPanels>
         </Tabs>
       ) : (
@@ -605,6 +800,20 @@ export default function UserInput() {
       )}
 
       {/* Tour dropdown moved inside the artist input container for proper anchoring */}
+
+      <TourComparison
+        isOpen={comparisonModal.isOpen}
+        onClose={comparisonModal.onClose}
+        artist={comparePair?.artist}
+        fromTour={comparePair?.fromTour}
+        toTour={comparePair?.toTour}
+      />
+
+      <CareerStats
+        isOpen={careerStatsModal.isOpen}
+        onClose={careerStatsModal.onClose}
+        artist={selectedArtist}
+      />
     </Box>
   );
 }
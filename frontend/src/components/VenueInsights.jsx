@@ -0,0 +1,124 @@
+// File: ./src/components/VenueInsights.jsx
+import { useState } from "react";
+import { Box, Button, Collapse, Text, VStack, useColorModeValue } from "@chakra-ui/react";
+
+// Venues listed before the rest are left out
+const MAX_VENUES = 4;
+
+/**
+ * One multi-night venue: repeat rate, next-night prediction and each night's songs
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.venue Venue from the server ({ venue, city, nights, repeatRate, likelyNext })
+ * @param {number|null} props.baselineRepeatRate Repeat rate between shows at different venues
+ * @param {string} props.mutedColor Color for secondary text
+ */
+const VenueNights = ({ venue, baselineRepeatRate, mutedColor }) => {
+  const [showNights, setShowNights] = useState(false);
+
+  return (
+    <Box>
+      <Text fontSize="sm">
+        <Text as="strong">{venue.venue}</Text>, {venue.city}{" "}
+        <Text as="span" color={mutedColor}>
+          · {venue.nights.length} nights
+        </Text>
+      </Text>
+      {venue.repeatRate !== null && (
+        <Text fontSize="xs" color={mutedColor}>
+          {Math.round(venue.repeatRate * 100)}% of songs repeated from the night before
+          {baselineRepeatRate !== null &&
+            ` (${Math.round(baselineRepeatRate * 100)}% between other shows)`}
+        </Text>
+      )}
+      {venue.likelyNext.length > 0 && (
+        <Text fontSize="xs">
+          Another night here will likely include{" "}
+          {venue.likelyNext.map((entry) => entry.song).join(", ")}
+        </Text>
+      )}
+      <Button size="xs" variant="link" mt={1} onClick={() => setShowNights(!showNights)}>
+        {showNights ? "Hide setlists" : "Show each night"}
+      </Button>
+      <Collapse in={showNights} animateOpacity>
+        <VStack align="stretch" spacing={1} mt={1}>
+          {venue.nights.map((night) => (
+            <Text key={night.id} fontSize="xs" color={mutedColor}>
+              <Text as="span" fontWeight="semibold">
+                {night.eventDate}:
+              </Text>{" "}
+              {night.songs.join(", ")}
+            </Text>
+          ))}
+        </VStack>
+      </Collapse>
+    </Box>
+  );
+};
+
+/**
+ * Venue Insights Component
+ * - Multi-night residencies: what was played each night, whether the artist
+ *   avoids repeating songs night to night, and what another night would bring
+ * - Cities the tour returned to, with the songs played on every visit
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.venueInsights Insights from the server ({ venues, cities, baselineRepeatRate, avoidsRepeats })
+ */
+const VenueInsights = ({ venueInsights }) => {
+  const bgColor = useColorModeValue("gray.50", "gray.800");
+  const mutedColor = useColorModeValue("gray.500", "gray.400");
+
+  const venues = venueInsights?.venues || [];
+  const cities = venueInsights?.cities || [];
+  if (venues.length === 0 && cities.length === 0) return null;
+
+  return (
+    <Box width="full" bg={bgColor} p={3} mb={4}>
+      {venues.length > 0 && (
+        <>
+          <Text fontSize="sm" fontWeight="semibold" mb={1}>
+            Multi-night venues
+          </Text>
+          {venueInsights.avoidsRepeats && (
+            <Text fontSize="xs" color={mutedColor} mb={2}>
+              Setlists change a lot between nights at the same venue
+            </Text>
+          )}
+          <VStack align="stretch" spacing={3} mb={cities.length > 0 ? 3 : 0}>
+            {venues.slice(0, MAX_VENUES).map((venue) => (
+              <VenueNights
+                key={venue.venueId || `${venue.venue}|${venue.city}`}
+                venue={venue}
+                baselineRepeatRate={venueInsights.baselineRepeatRate}
+                mutedColor={mutedColor}
+              />
+            ))}
+          </VStack>
+        </>
+      )}
+
+      {cities.length > 0 && (
+        <>
+          <Text fontSize="sm" fontWeight="semibold" mb={2}>
+            Return visits
+          </Text>
+          <VStack align="stretch" spacing={1}>
+            {cities.slice(0, MAX_VENUES).map((city) => (
+              <Text key={`${city.city}|${city.country}`} fontSize="sm">
+                <Text as="strong">{city.city}</Text>{" "}
+                <Text as="span" color={mutedColor}>
+                  · {city.showCount} shows
+                  {city.everyVisit.length > 0 &&
+                    ` · played every time: ${city.everyVisit.join(", ")}`}
+                </Text>
+              </Text>
+            ))}
+          </VStack>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default VenueInsights;
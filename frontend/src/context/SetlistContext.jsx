@@ -4,6 +4,7 @@ import {
   fetchSetlistById,
   searchArtists,
   fetchSpecificTourWithUpdates,
+  fetchShowPrediction,
 } from "../api/setlistService";
 
 // Create the context
@@ -18,6 +19,7 @@ export const SetlistProvider = ({ children }) => {
   const [state, setState] = useState({
     spotifyData: [],
     tourData: {},
+    predictedSetlist: [],
     loading: false,
     error: null,
     playlistNotification: {
@@ -54,10 +56,11 @@ export const SetlistProvider = ({ children }) => {
    * Fetch tour data for an artist
    *
    * @param {Object} artist Artist object with name, id, and url
+   * @param {Object} [filters] Optional date range / region setlist filters
    * @returns {Promise<void>}
    */
   const fetchTourData = useCallback(
-    async (artist) => {
+    async (artist, filters = null) => {
       setState((prev) => ({
         ...prev,
         loading: true,
@@ -71,13 +74,14 @@ export const SetlistProvider = ({ children }) => {
 
       try {
         // Pass progress callback to fetchArtistTour
-        const result = await fetchArtistTour(artist, updateProgress);
+        const result = await fetchArtistTour(artist, updateProgress, filters);
         console.log("Artist tour data:", result);
 
         setState((prev) => ({
           ...prev,
           spotifyData: result.spotifySongsOrdered,
           tourData: result.tourData,
+          predictedSetlist: result.predictedSetlist || [],
           loading: false,
           progress: {
             stage: "complete",
@@ -124,11 +128,13 @@ export const SetlistProvider = ({ children }) => {
     }));
 
     try {
-      const { spotifyData, tourData } = await fetchSetlistById(setlistUrl);
+      const { spotifyData, tourData, predictedSetlist } =
+        await fetchSetlistById(setlistUrl);
       setState((prev) => ({
         ...prev,
         spotifyData,
         tourData,
+        predictedSetlist,
         loading: false,
         progress: {
           stage: "complete",
@@ -187,7 +193,7 @@ export const SetlistProvider = ({ children }) => {
   /**
    * Update state with data from restored session
    *
-   * @param {Object} restoredData Data to restore { spotifyData, tourData }
+   * @param {Object} restoredData Data to restore { spotifyData, tourData, predictedSetlist }
    */
   const restoreData = useCallback((restoredData) => {
     if (restoredData) {
@@ -195,6 +201,8 @@ export const SetlistProvider = ({ children }) => {
         ...prev,
         spotifyData: restoredData.spotifyData || prev.spotifyData,
         tourData: restoredData.tourData || prev.tourData,
+        predictedSetlist:
+          restoredData.predictedSetlist || prev.predictedSetlist,
       }));
     }
   }, []);
@@ -205,10 +213,11 @@ export const SetlistProvider = ({ children }) => {
    * @param {Object} artist Artist information object
    * @param {string} tourId Tour ID from scraped tours
    * @param {string} tourName Tour name from scraped tours
+   * @param {Object} [filters] Optional date range / region setlist filters
    * @returns {Promise<Object>} Promise resolving to search result
    */
   const fetchSpecificTourData = useCallback(
-    async (artist, tourId, tourName) => {
+    async (artist, tourId, tourName, filters = null) => {
       setState((prev) => ({
         ...prev,
         loading: true,
@@ -221,17 +230,20 @@ export const SetlistProvider = ({ children }) => {
       }));
 
       try {
-        const { tourData, spotifyData } = await fetchSpecificTourWithUpdates(
-          artist,
-          tourId,
-          tourName,
-          updateProgress
-        );
+        const { tourData, spotifyData, predictedSetlist } =
+          await fetchSpecificTourWithUpdates(
+            artist,
+            tourId,
+            tourName,
+            updateProgress,
+            filters
+          );
 
         setState((prev) => ({
           ...prev,
           spotifyData,
           tourData,
+          predictedSetlist,
           loading: false,
           progress: {
             stage: "complete",
@@ -259,6 +271,61 @@ export const SetlistProvider = ({ children }) => {
     [updateProgress]
   );
 
+  /**
+   * Fetch a setlist prediction tuned to one upcoming show
+   *
+   * @param {Object} artist Artist object with name, id, and url
+   * @param {Object} show { date: "YYYY-MM-DD", city, countryCode, venue, showType }
+   * @returns {Promise<Object>} { success, error }
+   */
+  const fetchShowPredictionData = useCallback(
+    async (artist, show) => {
+      setState((prev) => ({
+        ...prev,
+        loading: true,
+        error: null,
+        progress: {
+          stage: "initializing",
+          message: `Predicting the setlist for ${show.date}...`,
+          percent: 0,
+        },
+      }));
+
+      try {
+        const result = await fetchShowPrediction(artist, show, updateProgress);
+
+        setState((prev) => ({
+          ...prev,
+          spotifyData: result.spotifySongsOrdered,
+          tourData: result.tourData,
+          predictedSetlist: result.predictedSetlist || [],
+          loading: false,
+          progress: {
+            stage: "complete",
+            message: "Data loaded successfully!",
+            percent: 100,
+          },
+        }));
+
+        return { success: true };
+      } catch (error) {
+        setState((prev) => ({
+          ...prev,
+          loading: false,
+          error: error.message || "Failed to predict the show",
+          progress: {
+            stage: "error",
+            message: error.message || "Failed to predict the show",
+            percent: null,
+          },
+        }));
+
+        return { success: false, error: error.message };
+      }
+    },
+    [updateProgress]
+  );
+
   /**
    * Reset to initial state and hide tour selection
    */
@@ -267,6 +334,7 @@ export const SetlistProvider = ({ children }) => {
       ...prev,
       spotifyData: [],
       tourData: {},
+      predictedSetlist: [],
       loading: false,
       error: null,
       progress: {
@@ -282,6 +350,7 @@ export const SetlistProvider = ({ children }) => {
     ...state,
     fetchTourData,
     fetchSpecificTourData,
+    fetchShowPredictionData,
     fetchSetlistData,
     setNotification,
     clearError,
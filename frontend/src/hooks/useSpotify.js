@@ -18,11 +18,12 @@ export const useSpotify = () => {
   /**
    * Creates a Spotify playlist from the current songs
    * 
+   * @param {Array} [tracks] Tracks in the order to add them (defaults to likelihood order)
    * @returns {Promise<void>}
    */
-  const handleCreatePlaylist = useCallback(async () => {
+  const handleCreatePlaylist = useCallback(async (tracks = spotifyData) => {
     // Ensure we have necessary data and auth
-    if (!isLoggedIn || !spotifyData?.length || !tourData?.bandName) {
+    if (!isLoggedIn || !tracks?.length || !tourData?.bandName) {
       setNotification({
         message: "Missing required data to create playlist",
         status: "error"
@@ -31,7 +32,7 @@ export const useSpotify = () => {
     }
 
     // Filter songs that didn't return spotify data
-    const trackIds = spotifyData
+    const trackIds = tracks
       .filter(item => item.artistName !== undefined)
       .map(item => item.uri);
 
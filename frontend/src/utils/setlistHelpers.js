@@ -3,3 +3,73 @@ export const extractSetlistID = (listURL) => {
   const setListID = splitString[splitString.length - 1].slice(0, -5);
   return setListID;
 };
+
+/**
+ * Orders tracks to follow the predicted setlist from the server
+ * - Matches tracks to predicted songs by their setlist artist and song name
+ * - Songs without a matching track are skipped
+ *
+ * @param {Array} spotifyData Tracks returned by the setlist search
+ * @param {Array} predictedSetlist Predicted running order ({ song, artist, position, isEncore })
+ * @returns {Array} Tracks in predicted show order, each with position and isEncore
+ */
+export const orderByPredictedSetlist = (spotifyData, predictedSetlist) => {
+  if (!spotifyData?.length || !predictedSetlist?.length) return [];
+  const tracksByKey = new Map(
+    spotifyData.map((track) => [`${track.artist}|${track.song}`, track])
+  );
+  return predictedSetlist
+    .map((entry) => {
+      const track = tracksByKey.get(`${entry.artist}|${entry.song}`);
+      return track
+        ? { ...track, position: entry.position, isEncore: entry.isEncore }
+        : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Describes a tour's typical show, e.g. "Expect ~21 songs, 2-song encore"
+ *
+ * @param {Object} showLength Show length stats from tourData
+ * @returns {string} Summary text ("" if the stats are missing)
+ */
+export const getShowLengthText = (showLength) => {
+  if (!showLength?.median) return "";
+  const encore = Math.round(showLength.encore);
+  let text = `Expect ~${Math.round(showLength.median)} songs`;
+  if (encore > 0) {
+    text += `, ${encore}-song encore`;
+  }
+  if (showLength.min !== showLength.max) {
+    text += ` (${showLength.min}-${showLength.max} so far)`;
+  }
+  if (showLength.startTime) {
+    text += `. Usually starts around ${showLength.startTime}`;
+  }
+  return text;
+};
+
+/**
+ * Describes what a single-show prediction was tuned for, e.g.
+ * "Predicted for 2025-06-14 in Paris (festival set), after 2 nights in the same city"
+ *
+ * @param {Object} showPrediction Show prediction from tourData
+ * @returns {string} Summary text ("" if there is no prediction)
+ */
+export const getShowPredictionText = (showPrediction) => {
+  if (!showPrediction?.show) return "";
+  const { show, previousNights, nearbyShows } = showPrediction;
+  let text = `Predicted for ${show.date}`;
+  if (show.venue || show.city) {
+    text += ` at ${[show.venue, show.city].filter(Boolean).join(", ")}`;
+  }
+  text += show.showType === "festival" ? " (festival set)" : " (headline show)";
+  if (previousNights?.length > 0) {
+    text += `, after ${previousNights.length} night${previousNights.length !== 1 ? "s" : ""} in the same city`;
+  }
+  if (nearbyShows > 0) {
+    text += `. Weighted toward ${nearbyShows} nearby show${nearbyShows !== 1 ? "s" : ""}`;
+  }
+  return text;
+};